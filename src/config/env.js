@@ -33,17 +33,23 @@ const env = {
   GSHEET_ID: opt("GSHEET_ID", ""),
   GOOGLE_SERVICE_ACCOUNT_JSON_B64: opt("GOOGLE_SERVICE_ACCOUNT_JSON_B64", ""),
   SSOT_TTL_MS: optInt("SSOT_TTL_MS", 60000),
+  SSOT_FIRST_LOAD_TIMEOUT_MS: optInt("SSOT_FIRST_LOAD_TIMEOUT_MS", 3000),
+  TENANTS_JSON: opt("TENANTS_JSON", ""),
 
   GEMINI_API_KEY: opt("GEMINI_API_KEY", ""),
   GEMINI_LIVE_MODEL: opt("GEMINI_LIVE_MODEL", ""),
   GEMINI_LOCATION: opt("GEMINI_LOCATION", "us-central1"),
   GEMINI_PROJECT_ID: opt("GEMINI_PROJECT_ID", ""),
   GEMINI_VERTEX_ENABLED: optBool("GEMINI_VERTEX_ENABLED", false),
+  GEMINI_VERTEX_BASE_URL: opt("GEMINI_VERTEX_BASE_URL", ""),
   GEMINI_AUDIO_IN_FORMAT: opt("GEMINI_AUDIO_IN_FORMAT", "ulaw8k"),
   GEMINI_AUDIO_OUT_FORMAT: opt("GEMINI_AUDIO_OUT_FORMAT", "ulaw8k"),
 
   TWILIO_ACCOUNT_SID: opt("TWILIO_ACCOUNT_SID", ""),
   TWILIO_AUTH_TOKEN: opt("TWILIO_AUTH_TOKEN", ""),
+  TWILIO_VALIDATE_SIGNATURES: optBool("TWILIO_VALIDATE_SIGNATURES", true),
+  TWILIO_REQUIRE_STREAM_TOKEN: optBool("TWILIO_REQUIRE_STREAM_TOKEN", true),
+  TWILIO_OUTBOUND_FROM: opt("TWILIO_OUTBOUND_FROM", ""),
 
   CALL_LOG_WEBHOOK_URL: opt("CALL_LOG_WEBHOOK_URL", ""),
   CALL_LOG_AT_START: optBool("CALL_LOG_AT_START", false),
@@ -52,10 +58,16 @@ const env = {
   FINAL_WEBHOOK_URL: opt("FINAL_WEBHOOK_URL", ""),
   FINAL_ON_STOP: optBool("FINAL_ON_STOP", true),
   ABANDONED_WEBHOOK_URL: opt("ABANDONED_WEBHOOK_URL", ""),
+  TRANSFERRED_WEBHOOK_URL: opt("TRANSFERRED_WEBHOOK_URL", ""),
 
   MB_VAD_PREFIX_MS: optInt("MB_VAD_PREFIX_MS", 40),
   MB_VAD_SILENCE_MS: optInt("MB_VAD_SILENCE_MS", 120),
   MB_VAD_THRESHOLD: optFloat("MB_VAD_THRESHOLD", 0.52),
+  MB_LOCAL_VAD_MODE: opt("MB_LOCAL_VAD_MODE", "gate"),
+  MB_LOCAL_VAD_HANGOVER_MS: optInt("MB_LOCAL_VAD_HANGOVER_MS", 400),
+
+  MB_OUTBOUND_PACER_ENABLED: optBool("MB_OUTBOUND_PACER_ENABLED", true),
+  MB_OUTBOUND_JITTER_MS: optInt("MB_OUTBOUND_JITTER_MS", 60),
 
   SILENCE_T1_MS: optInt("SILENCE_T1_MS", 5000),
   SILENCE_T2_MS: optInt("SILENCE_T2_MS", 9000),
@@ -64,6 +76,33 @@ const env = {
   SILENCE_PROMPT_2: opt("SILENCE_PROMPT_2", ""),
   SILENCE_PROMPT_3: opt("SILENCE_PROMPT_3", ""),
 
+  MB_DTMF_TERMINATOR: opt("MB_DTMF_TERMINATOR", "#"),
+  MB_DTMF_TIMEOUT_MS: optInt("MB_DTMF_TIMEOUT_MS", 3000),
+
+  MB_MAX_CALL_DURATION_MS: optInt("MB_MAX_CALL_DURATION_MS", 0),
+  MB_CALL_WRAPUP_AT_MS: optInt("MB_CALL_WRAPUP_AT_MS", 0),
+
+  MB_LIVE_TOOLS_ENABLED: optBool("MB_LIVE_TOOLS_ENABLED", true),
+
+  MB_CONTEXT_COMPRESSION_ENABLED: optBool("MB_CONTEXT_COMPRESSION_ENABLED", true),
+  MB_CONTEXT_COMPRESSION_TRIGGER_TOKENS: optInt("MB_CONTEXT_COMPRESSION_TRIGGER_TOKENS", 0),
+  MB_CONTEXT_COMPRESSION_TARGET_TOKENS: optInt("MB_CONTEXT_COMPRESSION_TARGET_TOKENS", 0),
+  MB_LIVE_CONTEXT_TOKEN_BUDGET: optInt("MB_LIVE_CONTEXT_TOKEN_BUDGET", 32000),
+  MB_SYSTEM_INSTRUCTION_MAX_CHARS: optInt("MB_SYSTEM_INSTRUCTION_MAX_CHARS", 0),
+
+  MB_GEMINI_MAX_RECONNECTS: optInt("MB_GEMINI_MAX_RECONNECTS", 3),
+  MB_RECONNECT_FILLER_AFTER_MS: optInt("MB_RECONNECT_FILLER_AFTER_MS", 1500),
+  MB_RECONNECT_FILLER_AUDIO_FILE: opt("MB_RECONNECT_FILLER_AUDIO_FILE", ""),
+  MB_RECONNECT_BUFFER_MS: optInt("MB_RECONNECT_BUFFER_MS", 4000),
+
+  MB_MAX_CONCURRENT_CALLS: optInt("MB_MAX_CONCURRENT_CALLS", 0),
+  MB_OVERFLOW_MODE: opt("MB_OVERFLOW_MODE", "apology"),
+  MB_OVERFLOW_NUMBER: opt("MB_OVERFLOW_NUMBER", ""),
+  MB_OVERFLOW_AUDIO_FILE: opt("MB_OVERFLOW_AUDIO_FILE", ""),
+
+  MB_SHUTDOWN_DRAIN_MS: optInt("MB_SHUTDOWN_DRAIN_MS", 20000),
+  MB_SHUTDOWN_FLUSH_MS: optInt("MB_SHUTDOWN_FLUSH_MS", 8000),
+
   MB_DEBUG: optBool("MB_DEBUG", false),
   MB_LOG_TRANSCRIPTS: optBool("MB_LOG_TRANSCRIPTS", true),
   MB_LOG_TURNS: optBool("MB_LOG_TURNS", true),
@@ -80,9 +119,14 @@ const env = {
   MB_ENABLE_RECORDING: optBool("MB_ENABLE_RECORDING", false),
   FORCE_HANGUP_AFTER_CLOSE: optBool("FORCE_HANGUP_AFTER_CLOSE", true),
   HANGUP_AFTER_CLOSE_GRACE_MS: optInt("HANGUP_AFTER_CLOSE_GRACE_MS", 15000),
+  TRANSFER_HANDOFF_MAX_MS: optInt("TRANSFER_HANDOFF_MAX_MS", 8000),
 
   VOICE_NAME_OVERRIDE: opt("VOICE_NAME_OVERRIDE", "Kore"),
 
+  MB_OPENING_AUDIO_CACHE_ENABLED: optBool("MB_OPENING_AUDIO_CACHE_ENABLED", true),
+  MB_OPENING_AUDIO_CACHE_DIR: opt("MB_OPENING_AUDIO_CACHE_DIR", ""),
+  MB_OPENING_AUDIO_CACHE_MAX: optInt("MB_OPENING_AUDIO_CACHE_MAX", 200),
+
   MB_DEFAULT_LANGUAGE: opt("MB_DEFAULT_LANGUAGE", "he"),
   MB_LANGUAGE_LOCK_ENABLED: optBool("MB_LANGUAGE_LOCK_ENABLED", true),
   MB_LANGUAGE_SWITCH_MIN_CONSECUTIVE_UTTERANCES: optInt("MB_LANGUAGE_SWITCH_MIN_CONSECUTIVE_UTTERANCES", 2),
@@ -0,0 +1,162 @@
+"use strict";
+
+const { env } = require("./env");
+const { logger } = require("../utils/logger");
+
+// Multi-tenant routing: one deployment serving several businesses.
+// TENANTS_JSON maps a dialed ("called") number to that business's config:
+//
+//   {
+//     "+97231234567": {
+//       "id": "acme",
+//       "gsheet_id": "...",
+//       "call_log_webhook_url": "...",
+//       "final_webhook_url": "...",
+//       "abandoned_webhook_url": "...",
+//       "transferred_webhook_url": "...",   (empty: final_webhook_url)
+//       "voice_name": "Kore",
+//       "time_zone": "Asia/Jerusalem",
+//       "ssot_ttl_ms": 60000,
+//       "max_concurrent_calls": 5,
+//       "overflow_mode": "voicemail",
+//       "overflow_number": "+97231234568",
+//       "max_call_duration_ms": 600000,
+//       "call_wrapup_at_ms": 480000
+//     }
+//   }
+//
+// Numbers that are not in the map (and single-tenant setups) use the
+// "default" tenant built from the plain env vars.
+
+const DEFAULT_TENANT_ID = "default";
+
+let TENANTS = null;
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function numberKey(n) {
+  const digits = safeStr(n).replace(/\D/g, "");
+  // Local Israeli format (0X-XXXXXXX / 05X-XXXXXXX) -> 972...
+  if (digits.startsWith("0") && (digits.length === 9 || digits.length === 10)) {
+    return `972${digits.slice(1)}`;
+  }
+  return digits;
+}
+
+function defaultTenant() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    numbers: [],
+    gsheet_id: safeStr(env.GSHEET_ID),
+    call_log_webhook_url: safeStr(env.CALL_LOG_WEBHOOK_URL),
+    final_webhook_url: safeStr(env.FINAL_WEBHOOK_URL),
+    abandoned_webhook_url: safeStr(env.ABANDONED_WEBHOOK_URL),
+    transferred_webhook_url: safeStr(env.TRANSFERRED_WEBHOOK_URL),
+    voice_name: "",
+    time_zone: safeStr(env.TIME_ZONE) || "Asia/Jerusalem",
+    ssot_ttl_ms: env.SSOT_TTL_MS || 60000,
+    max_concurrent_calls: 0,
+    overflow_mode: "",
+    overflow_number: "",
+    // null = not set (fall back to env); 0 = off for this tenant.
+    max_call_duration_ms: null,
+    call_wrapup_at_ms: null,
+  };
+}
+
+function optionalMs(x) {
+  if (x === undefined || x === null || safeStr(x) === "") return null;
+  return Math.max(0, Number(x) || 0);
+}
+
+function normalizeTenant(number, raw) {
+  const base = defaultTenant();
+  const r = raw && typeof raw === "object" ? raw : {};
+  return {
+    id: safeStr(r.id) || numberKey(number),
+    numbers: [],
+    gsheet_id: safeStr(r.gsheet_id) || base.gsheet_id,
+    call_log_webhook_url: safeStr(r.call_log_webhook_url),
+    final_webhook_url: safeStr(r.final_webhook_url),
+    abandoned_webhook_url: safeStr(r.abandoned_webhook_url),
+    transferred_webhook_url: safeStr(r.transferred_webhook_url),
+    voice_name: safeStr(r.voice_name),
+    time_zone: safeStr(r.time_zone) || base.time_zone,
+    ssot_ttl_ms: Number(r.ssot_ttl_ms) || base.ssot_ttl_ms,
+    max_concurrent_calls: Math.max(0, Number(r.max_concurrent_calls) || 0),
+    overflow_mode: safeStr(r.overflow_mode),
+    overflow_number: safeStr(r.overflow_number),
+    max_call_duration_ms: optionalMs(r.max_call_duration_ms),
+    call_wrapup_at_ms: optionalMs(r.call_wrapup_at_ms),
+  };
+}
+
+function loadTenants() {
+  if (TENANTS) return TENANTS;
+
+  const byNumber = new Map();
+  const byId = new Map();
+  const def = defaultTenant();
+  byId.set(def.id, def);
+
+  const raw = safeStr(env.TENANTS_JSON);
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      for (const [number, cfg] of Object.entries(parsed || {})) {
+        const key = numberKey(number);
+        if (!key) continue;
+        const id = safeStr(cfg?.id) || key;
+        const tenant = byId.get(id) || normalizeTenant(number, cfg);
+        tenant.numbers.push(`+${key}`);
+        byNumber.set(key, tenant);
+        byId.set(tenant.id, tenant);
+      }
+    } catch (e) {
+      logger.error("Invalid TENANTS_JSON; running single-tenant", {
+        error: e?.message || String(e),
+      });
+    }
+  }
+
+  TENANTS = { byNumber, byId };
+  return TENANTS;
+}
+
+function resolveTenant(calledNumber) {
+  const { byNumber, byId } = loadTenants();
+  return byNumber.get(numberKey(calledNumber)) || byId.get(DEFAULT_TENANT_ID);
+}
+
+function getTenantById(id) {
+  const { byId } = loadTenants();
+  return byId.get(safeStr(id) || DEFAULT_TENANT_ID) || null;
+}
+
+function listTenants() {
+  return Array.from(loadTenants().byId.values());
+}
+
+// finalizePipeline gates webhooks on env URLs; give it the tenant's instead.
+function tenantEnv(tenant) {
+  if (!tenant) return env;
+  return {
+    ...env,
+    TIME_ZONE: tenant.time_zone || env.TIME_ZONE,
+    CALL_LOG_WEBHOOK_URL: tenant.call_log_webhook_url,
+    FINAL_WEBHOOK_URL: tenant.final_webhook_url,
+    ABANDONED_WEBHOOK_URL: tenant.abandoned_webhook_url,
+    TRANSFERRED_WEBHOOK_URL: tenant.transferred_webhook_url,
+  };
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  resolveTenant,
+  getTenantById,
+  listTenants,
+  tenantEnv,
+};
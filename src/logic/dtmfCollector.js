@@ -0,0 +1,87 @@
+"use strict";
+
+// DTMF (keypad) input from the Twilio media stream.
+// Digits are buffered until the terminator key or an inter-digit timeout,
+// then handed over as one sequence. "*" restarts the current entry.
+
+const DEFAULT_TERMINATOR = "#";
+const DEFAULT_TIMEOUT_MS = 3000;
+const MAX_DIGITS = 20;
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+/**
+ * Keypad menu from SSOT SETTINGS rows named DTMF_MENU_<key>.
+ * e.g. DTMF_MENU_1 = "הנהלת חשבונות" -> { "1": "הנהלת חשבונות" }
+ */
+function parseDtmfMenu(settings) {
+  const menu = {};
+  for (const [k, v] of Object.entries(settings || {})) {
+    const m = /^DTMF_MENU_([0-9])$/.exec(safeStr(k));
+    const label = safeStr(v);
+    if (m && label) menu[m[1]] = label;
+  }
+  return menu;
+}
+
+function createDtmfCollector({ terminator, timeoutMs, onSequence } = {}) {
+  const term = safeStr(terminator) || DEFAULT_TERMINATOR;
+  const waitMs = Math.max(500, Number(timeoutMs) || DEFAULT_TIMEOUT_MS);
+
+  let digits = "";
+  let timer = null;
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function flush(reason) {
+    clearTimer();
+    const seq = digits;
+    digits = "";
+    if (!seq) return;
+    try {
+      if (onSequence) onSequence(seq, reason);
+    } catch {}
+  }
+
+  function pushDigit(digit) {
+    const d = safeStr(digit);
+    if (!/^[0-9*#]$/.test(d)) return;
+
+    if (d === term) {
+      flush("terminator");
+      return;
+    }
+    if (d === "*") {
+      digits = "";
+      clearTimer();
+      return;
+    }
+
+    digits += d;
+    if (digits.length >= MAX_DIGITS) {
+      flush("max_digits");
+      return;
+    }
+
+    clearTimer();
+    timer = setTimeout(() => flush("timeout"), waitMs);
+  }
+
+  function stop() {
+    clearTimer();
+    digits = "";
+  }
+
+  return { pushDigit, flush, stop, terminator: term };
+}
+
+module.exports = {
+  parseDtmfMenu,
+  createDtmfCollector,
+};
@@ -351,6 +351,23 @@ function isClosingPhrase(text) {
   return /(תודה\s*ו?להתראות|להתראות|ביי|יום טוב|ערב טוב|לילה טוב)/u.test(t);
 }
 
+function isHumanAgentRequest(text) {
+  const t = basicNormalize(text).toLowerCase();
+  if (!t) return false;
+
+  if (
+    /(נציג|נציגה|בן\s*אדם|בנאדם|אדם\s+אמיתי|מישהו\s+אמיתי|לדבר\s+עם\s+(מישהו|מישהי)|תעביר(י)?\s+אותי|להעביר\s+אותי)/u.test(
+      t
+    )
+  ) {
+    return true;
+  }
+
+  return /\b(human|real person|representative|live agent|talk to (an? )?(agent|person|someone))\b|оператор|живой человек/i.test(
+    t
+  );
+}
+
 module.exports = {
   normalizeUtterance,
   detectLanguageRough,
@@ -363,6 +380,7 @@ module.exports = {
   isShortSpeechToken,
   isLikelyNoiseLanguageFlip,
   isClosingPhrase,
+  isHumanAgentRequest,
   basicNormalize,
   joinCommonHebrewFragments,
   normalizeHebrewBusinessTerms,
@@ -0,0 +1,134 @@
+"use strict";
+
+const {
+  applyLeadField,
+  applyCallbackRequest,
+  LEAD_FIELDS,
+} = require("./passiveCallContext");
+
+// Function-calling tools declared to the Live model. Each handler gets the
+// call arguments and a small context from the session:
+//   { passiveCtx, settings, endCall(reason) }
+// and returns the object sent back as the toolResponse.
+
+// lookup_business_info topics -> SSOT SETTINGS keys. INFO_<TOPIC> rows add
+// topics of their own (e.g. INFO_PARKING).
+const BUSINESS_INFO_KEYS = {
+  business_name: "BUSINESS_NAME",
+  hours: "WORKING_HOURS",
+  address: "BUSINESS_ADDRESS",
+  phone: "MAIN_PHONE",
+  email: "BUSINESS_EMAIL",
+  website: "BUSINESS_WEBSITE_URL",
+};
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function infoTopics(settings) {
+  const s = settings || {};
+  const topics = Object.keys(BUSINESS_INFO_KEYS).filter((t) => safeStr(s[BUSINESS_INFO_KEYS[t]]));
+  for (const k of Object.keys(s)) {
+    if (k.startsWith("INFO_") && safeStr(s[k])) topics.push(k.slice(5).toLowerCase());
+  }
+  return topics;
+}
+
+const TOOLS = {
+  save_lead_field: {
+    declaration: {
+      name: "save_lead_field",
+      description:
+        "Save one detail of the caller's request as soon as the caller gives it. Call again to correct a value.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          field: { type: "STRING", enum: LEAD_FIELDS },
+          value: { type: "STRING", description: "The value, as the caller stated it." },
+        },
+        required: ["field", "value"],
+      },
+    },
+    handler: (args, ctx) => applyLeadField(ctx.passiveCtx, safeStr(args?.field), args?.value),
+  },
+
+  request_callback: {
+    declaration: {
+      name: "request_callback",
+      description:
+        "Register that the caller wants the business to call them back. Omit callback_number to use the number they called from.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          callback_number: { type: "STRING" },
+          preferred_time: { type: "STRING", description: "When the caller prefers to be called." },
+          reason: { type: "STRING", description: "Short subject of the request." },
+        },
+      },
+    },
+    handler: (args, ctx) => applyCallbackRequest(ctx.passiveCtx, args || {}),
+  },
+
+  end_call: {
+    declaration: {
+      name: "end_call",
+      description:
+        "Hang up after your goodbye has been played. Use only when the conversation is over.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          reason: { type: "STRING" },
+        },
+      },
+    },
+    handler: (args, ctx) => {
+      const accepted = ctx.endCall(safeStr(args?.reason) || "conversation_done");
+      return accepted ? { ok: true } : { ok: false, error: "call_cannot_be_ended_now" };
+    },
+  },
+
+  lookup_business_info: {
+    declaration: {
+      name: "lookup_business_info",
+      description:
+        "Look up business details (hours, address, phone, email, website, ...) instead of guessing.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          topic: { type: "STRING" },
+        },
+        required: ["topic"],
+      },
+    },
+    handler: (args, ctx) => {
+      const s = ctx.settings || {};
+      const topic = safeStr(args?.topic).toLowerCase().replace(/[^a-z0-9]+/g, "_");
+      const key = BUSINESS_INFO_KEYS[topic] || `INFO_${topic.toUpperCase()}`;
+      const value = safeStr(s[key]);
+      if (value) return { found: true, topic, value };
+      return { found: false, topic, available_topics: infoTopics(s) };
+    },
+  },
+};
+
+function toolDeclarations() {
+  return Object.values(TOOLS).map((t) => t.declaration);
+}
+
+/** Runs one function call; never throws. */
+function runTool(name, args, ctx) {
+  const tool = TOOLS[name];
+  if (!tool) return { ok: false, error: "unknown_tool" };
+  try {
+    return tool.handler(args || {}, ctx || {}) || { ok: true };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+module.exports = {
+  toolDeclarations,
+  runTool,
+};
@@ -0,0 +1,185 @@
+"use strict";
+
+const { parseAudioFormat, decodeSamples } = require("../utils/audioCodecs");
+
+// Local voice activity detection on caller audio (pcm16k), before it is
+// streamed to the model. Gemini's own automaticActivityDetection still decides
+// turns; this only decides which frames are worth sending.
+//
+// Per frame: energy above the noise floor (the quietest frame of the last
+// FLOOR_WINDOW_MS: speech has pauses, steady line noise does not), times a
+// zero-crossing factor: hiss crosses zero far more often than voiced speech,
+// so a frame at or above MAX_SPEECH_ZCR never counts however loud it is.
+// Speech starts after ONSET_FRAMES speech frames in a row and lasts until
+// hangoverMs without one.
+//
+// Modes (MB_LOCAL_VAD_MODE):
+//   off      no VAD, every frame is sent
+//   observe  detect only (timestamps, silence timers), every frame is sent
+//   thin     outside speech, send one frame in THIN_KEEP_EVERY
+//   gate     outside speech, send nothing; the last prerollMs of silence is
+//            sent when speech starts so word onsets are not clipped
+
+const PCM16K = parseAudioFormat("pcm16k");
+const MODES = ["off", "observe", "thin", "gate"];
+const ONSET_FRAMES = 2;
+const THIN_KEEP_EVERY = 5;
+const MIN_SPEECH_DBFS = -55;
+const FLOOR_WINDOW_MS = 1500;
+// Crossings per sample at 16k: voiced speech sits below VOICED_ZCR; carrier
+// noise upsampled from 8k runs ~0.2-0.27, full-band white noise ~0.5.
+const VOICED_ZCR = 0.15;
+const MAX_SPEECH_ZCR = 0.3;
+
+function clamp01(x) {
+  return x < 0 ? 0 : x > 1 ? 1 : x;
+}
+
+function frameFeatures(samples) {
+  let energy = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings += 1;
+  }
+  const n = samples.length || 1;
+  const rms = Math.sqrt(energy / n);
+  return {
+    dbfs: 20 * Math.log10(rms / 32768 + 1e-9),
+    zcr: crossings / n,
+  };
+}
+
+function parseVadMode(value) {
+  const mode = String(value || "").trim().toLowerCase();
+  return MODES.includes(mode) ? mode : "gate";
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.mode          off | observe | thin | gate
+ * @param {number} opts.threshold     speech score threshold, 0..1 (MB_VAD_THRESHOLD)
+ * @param {number} opts.hangoverMs    speech continues this long after the last speech frame
+ * @param {number} opts.prerollMs     silence kept for the speech onset (gate mode)
+ */
+function createCallerAudioGate({ mode, threshold, hangoverMs, prerollMs } = {}) {
+  const m = parseVadMode(mode);
+  const minScore = Number.isFinite(Number(threshold)) ? clamp01(Number(threshold)) : 0.5;
+  const hangover = Math.max(0, Number(hangoverMs) || 0);
+  const prerollLimit = Math.max(0, Number(prerollMs) || 0);
+
+  const recentDbfs = [];
+  let recentMs = 0;
+  let floorDbfs = MIN_SPEECH_DBFS;
+  let run = 0;
+  let speaking = false;
+  let lastSpeechAt = 0;
+  let silentFrames = 0;
+  let preroll = [];
+  let prerollMsHeld = 0;
+
+  const stats = {
+    mode: m,
+    frames: 0,
+    frames_sent: 0,
+    speech_segments: 0,
+    speech_ms: 0,
+  };
+
+  function score(f) {
+    if (f.dbfs < MIN_SPEECH_DBFS) return 0;
+    const snr = f.dbfs - floorDbfs;
+    const energyScore = clamp01((snr - 3) / 15);
+    const zcrScore = clamp01((MAX_SPEECH_ZCR - f.zcr) / (MAX_SPEECH_ZCR - VOICED_ZCR));
+    return energyScore * zcrScore;
+  }
+
+  /**
+   * One frame of caller audio.
+   * Returns { send: [pcm16kB64...], speech, started, ended, streamEnd }.
+   * `ended` reports the time of the last speech frame (not the hangover end).
+   */
+  function push(pcm16kB64, now = Date.now()) {
+    stats.frames += 1;
+
+    if (m === "off") {
+      stats.frames_sent += 1;
+      return { send: [pcm16kB64], speech: false, started: false, ended: null, streamEnd: false };
+    }
+
+    const samples = decodeSamples(Buffer.from(pcm16kB64, "base64"), PCM16K);
+    const frameMs = samples.length / 16;
+    const f = frameFeatures(samples);
+
+    recentDbfs.push(f.dbfs);
+    recentMs += frameMs;
+    while (recentMs > FLOOR_WINDOW_MS && recentDbfs.length > 1) {
+      recentDbfs.shift();
+      recentMs -= frameMs;
+    }
+    floorDbfs = Math.max(-90, Math.min(...recentDbfs));
+
+    const isSpeechFrame = score(f) >= minScore;
+
+    run = isSpeechFrame ? run + 1 : 0;
+    if (isSpeechFrame) lastSpeechAt = now;
+
+    let started = false;
+    let ended = null;
+    if (!speaking && run >= ONSET_FRAMES) {
+      speaking = true;
+      started = true;
+      stats.speech_segments += 1;
+    } else if (speaking && now - lastSpeechAt > hangover) {
+      speaking = false;
+      ended = lastSpeechAt;
+    }
+    if (speaking) stats.speech_ms += frameMs;
+
+    const out = { send: [], speech: speaking, started, ended, streamEnd: false };
+
+    if (speaking || m === "observe") {
+      silentFrames = 0;
+      if (started && preroll.length) out.send.push(...preroll);
+      preroll = [];
+      prerollMsHeld = 0;
+      out.send.push(pcm16kB64);
+    } else {
+      silentFrames += 1;
+      if (m === "thin" && silentFrames % THIN_KEEP_EVERY === 1) out.send.push(pcm16kB64);
+      if (m === "gate") {
+        // Tell the model the stream paused, once per silence stretch.
+        out.streamEnd = silentFrames === 1 && stats.frames > 1;
+        preroll.push(pcm16kB64);
+        prerollMsHeld += frameMs;
+        while (prerollMsHeld > prerollLimit && preroll.length) {
+          preroll.shift();
+          prerollMsHeld -= frameMs;
+        }
+      }
+    }
+
+    stats.frames_sent += out.send.length;
+    return out;
+  }
+
+  return {
+    push,
+    get speaking() {
+      return speaking;
+    },
+    get lastSpeechAt() {
+      return lastSpeechAt;
+    },
+    get enabled() {
+      return m !== "off";
+    },
+    stats: () => ({
+      ...stats,
+      speech_ms: Math.round(stats.speech_ms),
+      noise_floor_dbfs: Math.round(floorDbfs),
+    }),
+  };
+}
+
+module.exports = { createCallerAudioGate, parseVadMode };
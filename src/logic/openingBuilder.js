@@ -1,7 +1,15 @@
 "use strict";
 
+const {
+  shortHash,
+  getOpeningAudio,
+  putOpeningAudio,
+} = require("../utils/openingAudioCache");
+
 const CACHE = new Map();
 const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_OUTBOUND_OPENING =
+  "{GREETING}, מדברים מ{BUSINESS_NAME}. חוזרים אליך בנוגע לפנייה שלך{PURPOSE_PHRASE}. זה זמן נוח לדבר?";
 
 function safeStr(x) {
   if (x === undefined || x === null) return "";
@@ -49,10 +57,13 @@ function computeGreetingHebrew(timeZone) {
   return "לילה טוב";
 }
 
-function buildOpeningKey({ settings, callerName, isReturning, greeting }) {
+function buildOpeningKey({ settings, callerName, isReturning, greeting, outbound, purpose }) {
   return JSON.stringify({
     opening: safeStr(settings?.OPENING_SCRIPT),
     openingReturning: safeStr(settings?.OPENING_SCRIPT_RETURNING),
+    openingOutbound: safeStr(settings?.OPENING_SCRIPT_OUTBOUND),
+    outbound: !!outbound,
+    purpose: safeStr(purpose),
     businessName: safeStr(settings?.BUSINESS_NAME),
     botName: safeStr(settings?.BOT_NAME),
     mainPhone: safeStr(settings?.MAIN_PHONE),
@@ -66,15 +77,31 @@ function buildOpeningKey({ settings, callerName, isReturning, greeting }) {
   });
 }
 
+// Rendered audio depends on the scripts and the voice on top of the variant;
+// a change to either invalidates the tenant's cached clips.
+function openingAudioFingerprint(settings, voice) {
+  return shortHash(
+    JSON.stringify({
+      opening: safeStr(settings?.OPENING_SCRIPT),
+      openingReturning: safeStr(settings?.OPENING_SCRIPT_RETURNING),
+      openingOutbound: safeStr(settings?.OPENING_SCRIPT_OUTBOUND),
+      voice: safeStr(voice),
+    })
+  );
+}
+
 function getOpeningScriptFromSSOT(ssot, vars) {
   const settings = ssot?.settings || {};
   const isReturning =
     Boolean(vars?.RETURNING_CALLER) || Boolean(vars?.returning_caller);
+  const isOutbound = Boolean(vars?.OUTBOUND);
 
-  const tpl =
-    (isReturning && safeStr(settings.OPENING_SCRIPT_RETURNING)) ||
-    safeStr(settings.OPENING_SCRIPT) ||
-    "שלום! איך נוכל לעזור?";
+  // Outbound: we called them, so "how can we help?" makes no sense.
+  const tpl = isOutbound
+    ? safeStr(settings.OPENING_SCRIPT_OUTBOUND) || DEFAULT_OUTBOUND_OPENING
+    : (isReturning && safeStr(settings.OPENING_SCRIPT_RETURNING)) ||
+      safeStr(settings.OPENING_SCRIPT) ||
+      "שלום! איך נוכל לעזור?";
 
   const merged = {
     BUSINESS_NAME: safeStr(settings.BUSINESS_NAME),
@@ -89,6 +116,8 @@ function getOpeningScriptFromSSOT(ssot, vars) {
     BUSINESS_WEBSITE_URL: safeStr(settings.BUSINESS_WEBSITE_URL),
     VOICE_NAME: safeStr(settings.VOICE_NAME),
     GREETING: safeStr(vars?.GREETING),
+    PURPOSE: safeStr(vars?.PURPOSE),
+    PURPOSE_PHRASE: safeStr(vars?.PURPOSE) ? ` לגבי ${safeStr(vars.PURPOSE)}` : "",
     ...vars,
   };
 
@@ -106,6 +135,8 @@ function warmOpeningCache({
   callerName,
   isReturning,
   timeZone,
+  outbound,
+  purpose,
   ttlMs = DEFAULT_TTL_MS,
 }) {
   return getCachedOpening({
@@ -113,16 +144,43 @@ function warmOpeningCache({
     callerName,
     isReturning,
     timeZone,
+    outbound,
+    purpose,
     ttlMs,
   });
 }
 
+// With `audio: { scope, voice }` the result also carries the cached render
+// (`audio`: model PCM or null) and `audio_ref` for saveOpeningAudio once the
+// model has spoken it.
+function withOpeningAudio(value, key, ssot, audio) {
+  if (!audio) return value;
+  const ref = {
+    scope: safeStr(audio.scope) || "default",
+    fingerprint: openingAudioFingerprint(ssot?.settings, audio.voice),
+    variant: key,
+  };
+  return {
+    ...value,
+    audio: getOpeningAudio(ref.scope, ref.fingerprint, ref.variant),
+    audio_ref: ref,
+  };
+}
+
+function saveOpeningAudio(ref, pcm) {
+  if (!ref) return;
+  putOpeningAudio(ref.scope, ref.fingerprint, ref.variant, pcm);
+}
+
 function getCachedOpening({
   ssot,
   callerName,
   isReturning,
   timeZone,
+  outbound = false,
+  purpose = "",
   ttlMs = DEFAULT_TTL_MS,
+  audio = null,
 }) {
   const greeting = computeGreetingHebrew(timeZone);
   const key = buildOpeningKey({
@@ -130,13 +188,15 @@ function getCachedOpening({
     callerName,
     isReturning,
     greeting,
+    outbound,
+    purpose,
   });
 
   const cached = CACHE.get(key);
   const now = nowMs();
 
   if (cached && cached.expiresAt > now) {
-    return { ...cached.value, cache_hit: true };
+    return withOpeningAudio({ ...cached.value, cache_hit: true }, key, ssot, audio);
   }
 
   const opening = getOpeningScriptFromSSOT(ssot, {
@@ -146,6 +206,8 @@ function getCachedOpening({
     display_name: safeStr(callerName),
     returning_caller: !!isReturning,
     RETURNING_CALLER: !!isReturning,
+    OUTBOUND: !!outbound,
+    PURPOSE: safeStr(purpose),
   });
 
   const value = {
@@ -159,7 +221,7 @@ function getCachedOpening({
     expiresAt: now + Math.max(1000, Number(ttlMs) || DEFAULT_TTL_MS),
   });
 
-  return value;
+  return withOpeningAudio(value, key, ssot, audio);
 }
 
 module.exports = {
@@ -167,4 +229,5 @@ module.exports = {
   getOpeningScriptFromSSOT,
   getCachedOpening,
   warmOpeningCache,
+  saveOpeningAudio,
 };
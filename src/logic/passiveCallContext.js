@@ -80,10 +80,15 @@ function createPassiveCallContext({
     language_observed: "he",
     name: "",
     callback_number: callerInfo.withheld ? "" : callerInfo.value,
+    callback_number_source: callerInfo.withheld ? "" : "caller_id",
     affirmed_callback_number: false,
     callback_requested: false,
+    callback_preferred_time: "",
     closing_detected: false,
     has_request: false,
+    lead_fields: {},
+    tool_calls: [],
+    dtmf_inputs: [],
     transcript: [],
   };
 }
@@ -115,7 +120,10 @@ function appendUtterance(ctx, u) {
   if (found?.name) ctx.name = found.name;
 
   const phone = extractPhone(normalized);
-  if (phone) ctx.callback_number = phone;
+  if (phone && ctx.callback_number_source !== "dtmf") {
+    ctx.callback_number = phone;
+    ctx.callback_number_source = "spoken";
+  }
 
   if (/לחזור\s+אליי|שיחזרו\s+אליי|תחזרו\s+אליי|בקשת\s+חזרה/u.test(normalized)) {
     ctx.callback_requested = true;
@@ -126,6 +134,104 @@ function appendUtterance(ctx, u) {
   if (normalized.length >= 6) ctx.has_request = true;
 }
 
+// Keypad input. A typed phone number wins over anything heard by ASR and is
+// tagged with its own provenance. Returns the phone number, if any.
+function appendDtmf(ctx, { digits, menu_choice } = {}) {
+  if (!ctx) return "";
+
+  const seq = String(digits || "");
+  const phone = menu_choice ? "" : extractPhone(seq);
+
+  ctx.dtmf_inputs.push({
+    digits: seq,
+    menu_choice: menu_choice || null,
+    phone: phone || null,
+    ts: nowIso(),
+  });
+
+  ctx.transcript.push({
+    role: "user",
+    text: seq,
+    normalized: seq,
+    lang: "unknown",
+    source: "dtmf",
+    ts: nowIso(),
+  });
+
+  if (phone) {
+    ctx.callback_number = phone;
+    ctx.callback_number_source = "dtmf";
+    ctx.has_request = true;
+  }
+
+  return phone;
+}
+
+// Structured lead data reported by the model through tools (save_lead_field,
+// request_callback). Values are validated here, not trusted as-is.
+const LEAD_FIELDS = ["full_name", "callback_number", "subject", "notes", "brand", "model"];
+
+function applyLeadField(ctx, field, value) {
+  if (!ctx) return { ok: false, error: "no_context" };
+  if (!LEAD_FIELDS.includes(field)) return { ok: false, error: "unknown_field" };
+
+  const raw = String(value || "").trim().slice(0, 500);
+  if (!raw) return { ok: false, error: "empty_value" };
+
+  let stored = raw;
+  if (field === "full_name") {
+    stored = sanitizeCandidate(raw) || "";
+    if (!stored) return { ok: false, error: "invalid_name" };
+    ctx.name = stored;
+  } else if (field === "callback_number") {
+    stored = extractPhone(raw);
+    if (!stored) return { ok: false, error: "invalid_phone" };
+    // A keypad number is the caller's own input; don't let the model override
+    // it, and tell the model which number stands.
+    if (ctx.callback_number_source === "dtmf") {
+      ctx.tool_calls.push({ name: "save_lead_field", field, value: stored, kept: "dtmf", ts: nowIso() });
+      return { ok: true, field, value: ctx.callback_number, kept: "dtmf" };
+    }
+    ctx.callback_number = stored;
+    ctx.callback_number_source = "tool";
+  } else {
+    ctx.has_request = true;
+  }
+
+  ctx.lead_fields[field] = stored;
+  ctx.tool_calls.push({ name: "save_lead_field", field, value: stored, ts: nowIso() });
+  return { ok: true, field, value: stored };
+}
+
+function applyCallbackRequest(ctx, { callback_number, preferred_time, reason } = {}) {
+  if (!ctx) return { ok: false, error: "no_context" };
+
+  if (callback_number) {
+    const saved = applyLeadField(ctx, "callback_number", callback_number);
+    if (!saved.ok) return saved;
+  }
+  if (!ctx.callback_number) return { ok: false, error: "callback_number_required" };
+
+  ctx.callback_requested = true;
+  ctx.has_request = true;
+  ctx.callback_preferred_time = String(preferred_time || "").trim().slice(0, 200);
+  if (reason && !ctx.lead_fields.subject) {
+    ctx.lead_fields.subject = String(reason).trim().slice(0, 500);
+  }
+
+  ctx.tool_calls.push({
+    name: "request_callback",
+    callback_number: ctx.callback_number,
+    preferred_time: ctx.callback_preferred_time,
+    ts: nowIso(),
+  });
+  return {
+    ok: true,
+    callback_number: ctx.callback_number,
+    preferred_time: ctx.callback_preferred_time || null,
+  };
+}
+
 function finalizeCtx(ctx) {
   if (!ctx) return null;
   ctx.ended_at = nowIso();
@@ -159,5 +265,9 @@ module.exports = {
   createPassiveCallContext,
   buildPassiveContext,
   appendUtterance,
+  appendDtmf,
+  applyLeadField,
+  applyCallbackRequest,
+  LEAD_FIELDS,
   finalizeCtx,
 };
@@ -0,0 +1,76 @@
+"use strict";
+
+// Caller-silence ladder. Counts how long the caller has been quiet, but only
+// while the clock is not paused (the session pauses it while the bot is
+// talking), and fires onStage(1..n) as each threshold is crossed.
+// Any caller activity resets the count and the ladder.
+
+const TICK_MS = 250;
+
+/**
+ * @param {object} opts
+ * @param {number[]} opts.thresholdsMs  increasing thresholds; 0/invalid entries are dropped
+ * @param {() => boolean} opts.isPaused
+ * @param {(stage: number, silentMs: number) => void} opts.onStage
+ */
+function createSilenceWatchdog({ thresholdsMs, isPaused, onStage } = {}) {
+  const thresholds = (Array.isArray(thresholdsMs) ? thresholdsMs : [])
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0)
+    .sort((a, b) => a - b);
+
+  let silentMs = 0;
+  let stage = 0;
+  let lastTick = 0;
+  let timer = null;
+
+  function tick() {
+    const now = Date.now();
+    const dt = now - lastTick;
+    lastTick = now;
+
+    if (typeof isPaused === "function" && isPaused()) return;
+
+    silentMs += dt;
+    if (stage < thresholds.length && silentMs >= thresholds[stage]) {
+      stage += 1;
+      try {
+        onStage?.(stage, silentMs);
+      } catch {}
+    }
+  }
+
+  function start() {
+    if (timer || !thresholds.length) return;
+    lastTick = Date.now();
+    timer = setInterval(tick, TICK_MS);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function noteActivity() {
+    silentMs = 0;
+    stage = 0;
+  }
+
+  return {
+    start,
+    stop,
+    noteActivity,
+    get stage() {
+      return stage;
+    },
+    get silentMs() {
+      return silentMs;
+    },
+    get enabled() {
+      return thresholds.length > 0;
+    },
+    stages: thresholds.length,
+  };
+}
+
+module.exports = { createSilenceWatchdog };
@@ -0,0 +1,51 @@
+"use strict";
+
+// Live transfer targets from SSOT SETTINGS:
+// - TRANSFER_NUMBER                : default target when the caller asks for a human
+// - TRANSFER_NUMBER_<INTENT_ID>    : per-intent target; detecting that intent transfers
+// - TRANSFER_HANDOFF_LINE          : what the bot says right before the redirect
+
+const DEFAULT_HANDOFF_LINE = "רק רגע, אני מעבירה אותך לנציג.";
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function intentTargetKey(intentId) {
+  return `TRANSFER_NUMBER_${safeStr(intentId).toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+}
+
+/**
+ * Returns { target, reason, intent_id } when the call should be handed to a
+ * person, otherwise null.
+ */
+function resolveTransferTarget(settings, { intentId, humanRequested } = {}) {
+  const s = settings || {};
+  const id = safeStr(intentId) === "other" ? "" : safeStr(intentId);
+
+  if (id) {
+    const perIntent = safeStr(s[intentTargetKey(id)]);
+    if (perIntent) {
+      return { target: perIntent, reason: "intent", intent_id: id };
+    }
+  }
+
+  if (humanRequested) {
+    const fallback = safeStr(s.TRANSFER_NUMBER);
+    if (fallback) {
+      return { target: fallback, reason: "human_requested", intent_id: id || null };
+    }
+  }
+
+  return null;
+}
+
+function getHandoffLine(settings) {
+  return safeStr(settings?.TRANSFER_HANDOFF_LINE) || DEFAULT_HANDOFF_LINE;
+}
+
+module.exports = {
+  resolveTransferTarget,
+  getHandoffLine,
+};
@@ -0,0 +1,117 @@
+// src/routes/adminCalls.js
+"use strict";
+
+const express = require("express");
+const { logger } = require("../utils/logger");
+const { hangupCall } = require("../utils/twilioRecordings");
+const { trackPending } = require("../utils/shutdown");
+const { createMonitorToken } = require("../ws/adminMonitorWs");
+const {
+  listActiveCalls,
+  getActiveCall,
+  getActiveSession,
+} = require("../utils/activeCalls");
+
+// Live calls on this instance.
+// GET  /admin/calls                   -> { ok, count, calls: [...] }
+// GET  /admin/calls/:callSid          -> { ok, call }
+// POST /admin/calls/:callSid/hangup   -> hangs up via Twilio, finalizes as "admin_hangup"
+// POST /admin/calls/:callSid/whisper  -> { instruction, by? } injected into the live model
+// POST /admin/calls/:callSid/monitor-token -> { token, expires_at, path } for the
+//                                      browser live monitor (ws/adminMonitorWs)
+// Protected by x-admin-token header (must match TWILIO_AUTH_TOKEN env)
+
+const MAX_WHISPER_CHARS = 500;
+
+const adminCallsRouter = express.Router();
+
+function isAuthorized(req) {
+  const adminToken = String(req.headers["x-admin-token"] || "").trim();
+  const expectedToken = String(process.env.TWILIO_AUTH_TOKEN || "").trim();
+  return !!expectedToken && adminToken === expectedToken;
+}
+
+adminCallsRouter.use("/admin/calls", (req, res, next) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+  return next();
+});
+
+adminCallsRouter.get("/admin/calls", (req, res) => {
+  const calls = listActiveCalls().sort((a, b) =>
+    String(a.started_at).localeCompare(String(b.started_at))
+  );
+  return res.json({ ok: true, count: calls.length, calls });
+});
+
+adminCallsRouter.get("/admin/calls/:callSid", (req, res) => {
+  const call = getActiveCall(req.params.callSid);
+  if (!call) return res.status(404).json({ ok: false, error: "call_not_found" });
+  return res.json({ ok: true, call });
+});
+
+adminCallsRouter.post("/admin/calls/:callSid/hangup", async (req, res) => {
+  try {
+    const callSid = String(req.params.callSid || "").trim();
+    const session = getActiveSession(callSid);
+    if (!session) return res.status(404).json({ ok: false, error: "call_not_found" });
+
+    // Leave the session alone if Twilio refused: the caller is still on the line.
+    const hungUp = await hangupCall(callSid, logger);
+    logger.info("Admin hangup", { callSid, twilio_hangup: hungUp });
+    if (!hungUp) return res.status(502).json({ ok: false, error: "twilio_hangup_failed" });
+
+    // Finalize with our own reason; the Twilio "stop" that follows is a no-op.
+    trackPending(session.stop("admin_hangup"));
+
+    return res.json({ ok: true, callSid });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: e?.message || String(e),
+    });
+  }
+});
+
+adminCallsRouter.post("/admin/calls/:callSid/monitor-token", (req, res) => {
+  const callSid = String(req.params.callSid || "").trim();
+  if (!getActiveSession(callSid)) {
+    return res.status(404).json({ ok: false, error: "call_not_found" });
+  }
+
+  const issued = createMonitorToken(callSid);
+  if (!issued) return res.status(500).json({ ok: false, error: "auth_token_missing" });
+  return res.json({
+    ok: true,
+    ...issued,
+    path: `/admin/monitor/${callSid}?token=${encodeURIComponent(issued.token)}`,
+  });
+});
+
+adminCallsRouter.post("/admin/calls/:callSid/whisper", (req, res) => {
+  try {
+    const callSid = String(req.params.callSid || "").trim();
+    const session = getActiveSession(callSid);
+    if (!session) return res.status(404).json({ ok: false, error: "call_not_found" });
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const instruction = String(body.instruction || "").trim();
+    if (!instruction) return res.status(400).json({ ok: false, error: "missing_instruction" });
+    if (instruction.length > MAX_WHISPER_CHARS) {
+      return res.status(400).json({ ok: false, error: "instruction_too_long" });
+    }
+
+    const sent = session.whisper(instruction, { by: body.by });
+    if (!sent) return res.status(409).json({ ok: false, error: "session_not_ready" });
+
+    return res.json({ ok: true, callSid });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: e?.message || String(e),
+    });
+  }
+});
+
+module.exports = { adminCallsRouter };
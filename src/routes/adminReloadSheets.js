@@ -2,9 +2,10 @@
 
 const express = require("express");
 const { loadSSOT } = require("../ssot/ssotClient");
+const { getTenantById } = require("../config/tenants");
 
-// POST /admin/reload-sheets
-// Forces SSOT reload from Google Sheets.
+// POST /admin/reload-sheets[?tenant=<id>]
+// Forces SSOT reload from Google Sheets (default tenant unless ?tenant= / body.tenant).
 // Protected by x-admin-token header (must match TWILIO_AUTH_TOKEN env)
 
 const router = express.Router();
@@ -18,8 +19,14 @@ router.post("/admin/reload-sheets", async (req, res) => {
       return res.status(401).json({ ok: false, error: "unauthorized" });
     }
 
+    const tenantId = String(req.query?.tenant || req.body?.tenant || "").trim();
+    const tenant = getTenantById(tenantId);
+    if (!tenant) {
+      return res.status(404).json({ ok: false, error: "unknown_tenant" });
+    }
+
     const t0 = Date.now();
-    const ssot = await loadSSOT(true); // force reload
+    const ssot = await loadSSOT(true, tenant); // force reload
     const ms = Date.now() - t0;
 
     const settings_keys = Object.keys(ssot?.settings || {}).length;
@@ -28,6 +35,7 @@ router.post("/admin/reload-sheets", async (req, res) => {
 
     return res.json({
       ok: true,
+      tenant: tenant.id,
       ms,
       reloaded_at: new Date().toISOString(),
       settings_keys,
@@ -2,14 +2,21 @@
 
 const express = require("express");
 const { env } = require("../config/env");
+const { getAdmissionStats } = require("../utils/callAdmission");
+const { isDraining } = require("../utils/shutdown");
 
 const router = express.Router();
 
+// 503 + "draining" while a graceful shutdown is in progress so the platform
+// stops routing new calls here.
 router.get("/health", (req, res) => {
-  return res.status(200).json({
-    status: "ok",
+  const draining = isDraining();
+  return res.status(draining ? 503 : 200).json({
+    status: draining ? "draining" : "ok",
+    ready: !draining,
     service: "VoiceBot_Blank",
     provider_mode: env.PROVIDER_MODE,
+    admission: getAdmissionStats(),
     time: new Date().toISOString()
   });
 });
@@ -0,0 +1,113 @@
+// src/routes/outboundCalls.js
+"use strict";
+
+const express = require("express");
+const { env } = require("../config/env");
+const { logger } = require("../utils/logger");
+const { getSSOT } = require("../ssot/ssotClient");
+const { getTenantById } = require("../config/tenants");
+const { createOutboundCall } = require("../utils/twilioRecordings");
+
+// POST /calls/outbound
+// Places a bot-driven call (e.g. returning an ABANDONED lead) and connects it to
+// the same media stream with source=outbound.
+// Protected by x-admin-token header (must match TWILIO_AUTH_TOKEN env)
+//
+// Body: { to, from?, tenant?, purpose?, context? }
+// - purpose: short phrase the bot uses in its opening ("your request regarding X")
+// - context: small JSON object handed to the live session as-is
+
+const MAX_CONTEXT_CHARS = 1500;
+
+const outboundCallsRouter = express.Router();
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function normalizeE164(v) {
+  const s = safeStr(v);
+  const digits = s.replace(/\D/g, "");
+  if (!digits) return "";
+  if (s.startsWith("+")) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : "";
+  if (digits.startsWith("0") && digits.length === 10) return `+972${digits.slice(1)}`;
+  if (digits.startsWith("972") && digits.length === 12) return `+${digits}`;
+  return "";
+}
+
+outboundCallsRouter.post("/calls/outbound", async (req, res) => {
+  try {
+    const adminToken = String(req.headers["x-admin-token"] || "").trim();
+    const expectedToken = String(process.env.TWILIO_AUTH_TOKEN || "").trim();
+
+    if (!expectedToken || adminToken !== expectedToken) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const tenant = getTenantById(body.tenant);
+    if (!tenant) return res.status(400).json({ ok: false, error: "unknown_tenant" });
+    const settings = getSSOT(tenant.id)?.settings || {};
+
+    const to = normalizeE164(body.to);
+    if (!to) return res.status(400).json({ ok: false, error: "invalid_to" });
+
+    // The caller ID also selects the tenant again when Twilio fetches the TwiML.
+    const from = normalizeE164(
+      body.from ||
+        settings.OUTBOUND_CALLER_ID ||
+        tenant.numbers[0] ||
+        env.TWILIO_OUTBOUND_FROM
+    );
+    if (!from) return res.status(400).json({ ok: false, error: "missing_from" });
+
+    const base = safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+    if (!base) {
+      return res.status(500).json({ ok: false, error: "public_base_url_missing" });
+    }
+
+    const purpose = safeStr(body.purpose).slice(0, 200);
+    const context =
+      body.context && typeof body.context === "object" ? JSON.stringify(body.context) : "";
+    if (context.length > MAX_CONTEXT_CHARS) {
+      return res.status(400).json({ ok: false, error: "context_too_large" });
+    }
+
+    // Twilio calls /twilio/voice once answered; that route builds the stream TwiML.
+    const query = new URLSearchParams({ source: "outbound" });
+    if (purpose) query.set("purpose", purpose);
+    if (context) query.set("context", context);
+
+    const r = await createOutboundCall(
+      {
+        to,
+        from,
+        url: `${base}/twilio/voice?${query.toString()}`,
+        statusCallback: `${base}/twilio/status`,
+      },
+      logger
+    );
+
+    logger.info("Outbound call requested", {
+      tenant: tenant.id,
+      to,
+      from,
+      purpose: purpose || null,
+      ok: r.ok,
+      callSid: r.callSid,
+      reason: r.reason,
+    });
+
+    if (!r.ok) return res.status(502).json({ ok: false, error: r.reason });
+
+    return res.json({ ok: true, callSid: r.callSid, to, from });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: e?.message || String(e),
+    });
+  }
+});
+
+module.exports = { outboundCallsRouter };
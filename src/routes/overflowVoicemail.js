@@ -0,0 +1,75 @@
+// src/routes/overflowVoicemail.js
+"use strict";
+
+const express = require("express");
+const { logger } = require("../utils/logger");
+const { requireTwilioSignature } = require("../utils/twilioSignature");
+const { getTenantById } = require("../config/tenants");
+const { buildWebhookSenders } = require("../utils/webhookSender");
+const { setRecordingForCall } = require("../utils/recordingRegistry");
+const { publicRecordingUrl } = require("../utils/twilioRecordings");
+
+const overflowVoicemailRouter = express.Router();
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+/**
+ * Recording status callback of the overflow voicemail <Record>
+ * (callAdmission.buildOverflowTwiml). Reports the message to the tenant's
+ * FINAL webhook as OVERFLOW_VOICEMAIL; there is no live session, so nothing
+ * else would.
+ */
+function handleOverflowVoicemail(req, res) {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const tenant = getTenantById(req.query?.tenant) || getTenantById();
+    const callSid = safeStr(body.CallSid);
+    const recordingSid = safeStr(body.RecordingSid);
+    const recordingUrl = safeStr(body.RecordingUrl);
+
+    if (callSid && recordingSid) {
+      setRecordingForCall(callSid, { recordingSid, recordingUrl: recordingUrl || null });
+    }
+
+    const payload = {
+      event: "OVERFLOW_VOICEMAIL",
+      call: {
+        callSid: callSid || null,
+        caller: safeStr(req.query?.caller) || safeStr(body.From) || null,
+        tenant_id: tenant?.id || null,
+        source: "overflow",
+        ended_at: new Date().toISOString(),
+      },
+      recording_status: safeStr(body.RecordingStatus) || null,
+      recording_duration_sec: Number(body.RecordingDuration) || 0,
+      recording_provider: recordingSid ? "twilio" : null,
+      recording_sid: recordingSid || null,
+      recording_url: recordingUrl || null,
+      recording_url_public: publicRecordingUrl(recordingSid),
+    };
+
+    logger.info("OVERFLOW_VOICEMAIL", {
+      callSid: payload.call.callSid,
+      tenant: payload.call.tenant_id,
+      recording_sid: payload.recording_sid,
+      duration_sec: payload.recording_duration_sec,
+    });
+
+    buildWebhookSenders(tenant).sendVoicemail(payload);
+  } catch (e) {
+    logger.warn("Overflow voicemail callback error", { err: String(e?.message || e) });
+  }
+
+  res.status(200).json({ ok: true });
+}
+
+overflowVoicemailRouter.post(
+  "/twilio/overflow-voicemail",
+  requireTwilioSignature("twilio_overflow_voicemail"),
+  handleOverflowVoicemail
+);
+
+module.exports = { overflowVoicemailRouter };
@@ -3,6 +3,7 @@
 
 const express = require("express");
 const { logger } = require("../utils/logger");
+const { requireTwilioSignature } = require("../utils/twilioSignature");
 
 const twilioStatusRouter = express.Router();
 
@@ -35,7 +36,9 @@ function handleTwilioStatus(req, res) {
 }
 
 // Twilio sends POST; we also allow GET for quick manual checks.
-twilioStatusRouter.post("/twilio/status", handleTwilioStatus);
-twilioStatusRouter.get("/twilio/status", handleTwilioStatus);
+const verifyTwilio = requireTwilioSignature("twilio_status");
+
+twilioStatusRouter.post("/twilio/status", verifyTwilio, handleTwilioStatus);
+twilioStatusRouter.get("/twilio/status", verifyTwilio, handleTwilioStatus);
 
 module.exports = { twilioStatusRouter };
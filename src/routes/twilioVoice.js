@@ -0,0 +1,160 @@
+// src/routes/twilioVoice.js
+"use strict";
+
+const express = require("express");
+const { env } = require("../config/env");
+const { logger } = require("../utils/logger");
+const { getSSOT } = require("../ssot/ssotClient");
+const { resolveTenant } = require("../config/tenants");
+const {
+  unavailable,
+  response,
+  startRecording,
+  connectStream,
+} = require("../utils/twiml");
+const {
+  isAtCapacity,
+  recordRejection,
+  overflowPolicy,
+  buildOverflowTwiml,
+} = require("../utils/callAdmission");
+const { isDraining } = require("../utils/shutdown");
+const { providerHasCredentials } = require("../vendor/voiceProvider");
+const {
+  requireTwilioSignature,
+  createStreamToken,
+} = require("../utils/twilioSignature");
+
+const twilioVoiceRouter = express.Router();
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function isTrue(v) {
+  return String(v || "").trim().toLowerCase() === "true";
+}
+
+function publicBase() {
+  return safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+}
+
+function mediaStreamUrl(base) {
+  return `${base.replace(/^http/i, "ws")}/twilio-media-stream`;
+}
+
+/**
+ * Why the voice bot cannot take this call, or "" when it can.
+ * SERVICE_DEGRADED=true in SSOT SETTINGS is a manual switch.
+ */
+function degradedReason(settings) {
+  if (isDraining()) return "draining";
+  if (isTrue(settings?.SERVICE_DEGRADED)) return "ssot_flag";
+  if (!publicBase()) return "public_base_url_missing";
+  if (!providerHasCredentials()) return "model_credentials_missing";
+  return "";
+}
+
+/**
+ * SSOT SETTINGS that shape the TwiML:
+ * - CALL_SOURCE                 : value of the "source" stream parameter
+ * - STREAM_STATUS_CALLBACK_URL  : <Stream statusCallback>; "true" means /twilio/status
+ * - RECORDING_VIA_TWIML=true    : start a dual-channel <Recording> from TwiML
+ *                                 (alternative to MB_ENABLE_RECORDING's REST start)
+ */
+function buildStreamTwiml({ settings, from, to, callSid, outbound }) {
+  const base = publicBase();
+
+  const recording = isTrue(settings?.RECORDING_VIA_TWIML)
+    ? startRecording({ recordingStatusCallback: `${base}/twilio-recording-callback` })
+    : "";
+
+  let statusCallback = safeStr(settings?.STREAM_STATUS_CALLBACK_URL);
+  if (isTrue(statusCallback)) statusCallback = `${base}/twilio/status`;
+
+  // On outbound calls the customer is the "To" side; the session still treats
+  // them as the caller.
+  const params = {
+    caller: outbound ? to : from,
+    called: outbound ? from : to,
+    source: outbound ? "outbound" : safeStr(settings?.CALL_SOURCE) || "VoiceBot_Blank",
+    call_sid: callSid,
+    // Checked by the media WS on "start"; <Stream> URLs cannot carry a query string.
+    token: createStreamToken(callSid),
+  };
+  if (outbound?.purpose) params.purpose = outbound.purpose;
+  if (outbound?.context) params.context = outbound.context;
+
+  return response(
+    recording,
+    connectStream({ url: mediaStreamUrl(base), statusCallback, params })
+  );
+}
+
+/**
+ * Twilio "A call comes in" webhook.
+ * Returns <Connect><Stream> TwiML that opens /twilio-media-stream with the
+ * caller/called/source custom parameters the media WS expects.
+ * Also the answer URL of calls placed by POST /calls/outbound
+ * (?source=outbound&purpose=...&context=...).
+ */
+function handleTwilioVoice(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const from = safeStr(body.From);
+  const to = safeStr(body.To);
+  const callSid = safeStr(body.CallSid);
+  const outbound =
+    safeStr(req.query?.source) === "outbound"
+      ? {
+          purpose: safeStr(req.query?.purpose),
+          context: safeStr(req.query?.context),
+        }
+      : null;
+
+  const tenant = resolveTenant(outbound ? from : to);
+  const settings = getSSOT(tenant.id)?.settings || {};
+  const degraded = degradedReason(settings);
+
+  let twiml;
+  if (degraded) {
+    logger.warn("Twilio voice webhook: degraded, playing fallback", {
+      callSid,
+      from,
+      to,
+      tenant: tenant.id,
+      reason: degraded,
+    });
+    twiml = unavailable(settings);
+  } else if (isAtCapacity(tenant)) {
+    // Early overflow: skip opening a stream we would reject anyway. The media
+    // WS still enforces the limit for calls that race past this check.
+    const policy = overflowPolicy(tenant, settings);
+    recordRejection(tenant.id, "voice_webhook");
+    logger.info("Twilio voice webhook: overflow", {
+      callSid,
+      tenant: tenant.id,
+      mode: policy.mode,
+    });
+    twiml = buildOverflowTwiml(policy, { tenantId: tenant.id, caller: from });
+  } else {
+    logger.info("Twilio voice webhook", {
+      callSid,
+      from,
+      to,
+      tenant: tenant.id,
+      direction: outbound ? "outbound" : "inbound",
+    });
+    twiml = buildStreamTwiml({ settings, from, to, callSid, outbound });
+  }
+
+  res.status(200).type("text/xml").send(twiml);
+}
+
+twilioVoiceRouter.post(
+  "/twilio/voice",
+  requireTwilioSignature("twilio_voice"),
+  handleTwilioVoice
+);
+
+module.exports = { twilioVoiceRouter };
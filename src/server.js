@@ -10,13 +10,23 @@ const { healthRouter } = require("./routes/health");
 const { adminReloadRouter } = require("./routes/adminReloadSheets");
 const { recordingsRouter } = require("./routes/recordings");
 const { twilioStatusRouter } = require("./routes/twilioStatus");
+const { twilioVoiceRouter } = require("./routes/twilioVoice");
+const { overflowVoicemailRouter } = require("./routes/overflowVoicemail");
+const { outboundCallsRouter } = require("./routes/outboundCalls");
+const { adminCallsRouter } = require("./routes/adminCalls");
 
 const { loadSSOT } = require("./ssot/ssotClient");
+const { listTenants } = require("./config/tenants");
 const { installTwilioMediaWs } = require("./ws/twilioMediaWs");
+const { installAdminMonitorWs } = require("./ws/adminMonitorWs");
+const { listActiveSessions } = require("./utils/activeCalls");
+const { installGracefulShutdown } = require("./utils/shutdown");
 
 const { ensureCallerMemorySchema } = require("./memory/callerMemory");
 const { setRecordingForCall } = require("./utils/recordingRegistry");
 const { proxyRecordingMp3 } = require("./utils/twilioRecordings");
+const { requireTwilioSignature } = require("./utils/twilioSignature");
+const { preloadOpeningAudio } = require("./utils/openingAudioCache");
 
 const app = express();
 
@@ -40,6 +50,10 @@ app.get("/", (req, res) => {
 app.use(healthRouter);
 app.use(adminReloadRouter);
 app.use(twilioStatusRouter);
+app.use(twilioVoiceRouter);
+app.use(overflowVoicemailRouter);
+app.use(outboundCallsRouter);
+app.use(adminCallsRouter);
 app.use(recordingsRouter);
 
 // Canonical recording proxy
@@ -56,7 +70,9 @@ app.get("/recording/:sid.mp3", async (req, res) => {
 });
 
 // Twilio recording callback
-app.post("/twilio-recording-callback", (req, res) => {
+const verifyRecordingCallback = requireTwilioSignature("twilio_recording_callback");
+
+app.post("/twilio-recording-callback", verifyRecordingCallback, (req, res) => {
   try {
     const callSid = String(req.body?.CallSid || "").trim();
     const recordingSid = String(req.body?.RecordingSid || "").trim();
@@ -88,12 +104,17 @@ const server = app.listen(env.PORT, "0.0.0.0", async () => {
     provider_mode: env.PROVIDER_MODE,
   });
 
-  try {
-    await loadSSOT(false);
-  } catch (err) {
-    logger.error("SSOT preload failed", {
-      error: err?.message || String(err),
-    });
+  for (const tenant of listTenants()) {
+    try {
+      await loadSSOT(false, tenant);
+    } catch (err) {
+      logger.error("SSOT preload failed", {
+        tenant: tenant.id,
+        error: err?.message || String(err),
+      });
+    }
+    // Rendered openings from earlier runs; loads in the background.
+    if (env.MB_OPENING_AUDIO_CACHE_ENABLED) preloadOpeningAudio(tenant.id);
   }
 
   try {
@@ -107,4 +128,7 @@ const server = app.listen(env.PORT, "0.0.0.0", async () => {
 });
 
 // Attach Twilio WS
-installTwilioMediaWs(server);
+const wss = installTwilioMediaWs(server);
+installAdminMonitorWs(server);
+
+installGracefulShutdown({ server, wss, listSessions: listActiveSessions });
@@ -3,14 +3,21 @@
 const { google } = require("googleapis");
 const { env } = require("../config/env");
 const { logger } = require("../utils/logger");
-
-let CACHE = {
-  loaded_at: null,
-  expires_at: 0,
-  settings: {},
-  prompts: {},
-  intents: []
-};
+const { DEFAULT_TENANT_ID, getTenantById } = require("../config/tenants");
+
+// One cached SSOT per tenant (see config/tenants.js), each with its own TTL.
+const CACHES = new Map();
+const INFLIGHT = new Map();
+
+function emptyCache() {
+  return {
+    loaded_at: null,
+    expires_at: 0,
+    settings: {},
+    prompts: {},
+    intents: []
+  };
+}
 
 function stripOuterQuotes(s) {
   if (typeof s !== "string") return s;
@@ -31,18 +38,24 @@ function b64ToJson(b64) {
   return JSON.parse(jsonStr);
 }
 
-function isCacheValid() {
-  return Date.now() < (CACHE.expires_at || 0) && CACHE.loaded_at;
+function isCacheValid(cache) {
+  return !!cache && Date.now() < (cache.expires_at || 0) && !!cache.loaded_at;
 }
 
-async function getSheetsClient() {
-  const sheetId = (env.GSHEET_ID || "").trim();
-  if (!sheetId) throw new Error("Missing GSHEET_ID");
-
+// Decoded GOOGLE_SERVICE_ACCOUNT_JSON_B64; also used for Vertex AI tokens.
+function getServiceAccount() {
   const sa = b64ToJson(env.GOOGLE_SERVICE_ACCOUNT_JSON_B64);
   if (!sa || !sa.client_email || !sa.private_key) {
     throw new Error("Missing/invalid GOOGLE_SERVICE_ACCOUNT_JSON_B64");
   }
+  return sa;
+}
+
+async function getSheetsClient(gsheetId) {
+  const sheetId = (gsheetId || "").trim();
+  if (!sheetId) throw new Error("Missing GSHEET_ID");
+
+  const sa = getServiceAccount();
 
   const auth = new google.auth.JWT({
     email: sa.client_email,
@@ -99,16 +112,29 @@ function rowsToIntents(rows) {
 }
 
 /**
- * loadSSOT(force)
+ * loadSSOT(force, tenant)
  * - force=false: respects cache ttl
  * - force=true : reloads now
+ * - tenant     : tenant object from config/tenants.js (default tenant if omitted)
  */
-async function loadSSOT(force = false) {
-  const ttl = env.SSOT_TTL_MS || 60000;
-  if (!force && isCacheValid()) return CACHE;
+async function loadSSOT(force = false, tenant = null) {
+  const t = tenant || getTenantById(DEFAULT_TENANT_ID);
+  const cached = CACHES.get(t.id);
+  if (!force && isCacheValid(cached)) return cached;
+
+  // Concurrent call starts for the same tenant share one fetch.
+  if (!force && INFLIGHT.has(t.id)) return INFLIGHT.get(t.id);
+
+  const p = fetchSSOT(t).finally(() => INFLIGHT.delete(t.id));
+  INFLIGHT.set(t.id, p);
+  return p;
+}
+
+async function fetchSSOT(tenant) {
+  const ttl = tenant.ssot_ttl_ms || env.SSOT_TTL_MS || 60000;
 
   const startedAt = Date.now();
-  const { sheets, sheetId } = await getSheetsClient();
+  const { sheets, sheetId } = await getSheetsClient(tenant.gsheet_id);
 
   // IMPORTANT: rely on returned order, not vr.range string
   const ranges = ["SETTINGS!A:B", "PROMPTS!A:B", "INTENTS!A:F"];
@@ -133,15 +159,17 @@ async function loadSSOT(force = false) {
   const prompts = rowsToPrompts(promptsRows);
   const intents = rowsToIntents(intentsRows);
 
-  CACHE = {
+  const cache = {
     loaded_at: new Date().toISOString(),
     expires_at: Date.now() + ttl,
     settings,
     prompts,
     intents
   };
+  CACHES.set(tenant.id, cache);
 
   logger.info("SSOT loaded", {
+    tenant: tenant.id,
     settings_keys: Object.keys(settings).length,
     prompts_keys: Object.keys(prompts).length,
     intents: intents.length,
@@ -149,11 +177,15 @@ async function loadSSOT(force = false) {
     ranges_returned: vrs.map((x) => x.range)
   });
 
-  return CACHE;
+  return cache;
+}
+
+function getSSOT(tenantId = DEFAULT_TENANT_ID) {
+  return CACHES.get(tenantId || DEFAULT_TENANT_ID) || emptyCache();
 }
 
-function getSSOT() {
-  return CACHE;
+function isSSOTFresh(tenantId = DEFAULT_TENANT_ID) {
+  return isCacheValid(CACHES.get(tenantId || DEFAULT_TENANT_ID));
 }
 
-module.exports = { loadSSOT, getSSOT };
+module.exports = { loadSSOT, getSSOT, isSSOTFresh, getServiceAccount };
@@ -61,6 +61,15 @@ function buildTranscript(conversationLog) {
     .join("\n");
 }
 
+// Bot turns the caller never heard (hung up or barged in before playback)
+// must not count as something that was said to them. Supervisor whispers
+// were never part of the conversation at all.
+function wasHeardByCaller(row) {
+  const role = String(row?.role || "").toLowerCase();
+  if (role === "supervisor") return false;
+  return !(role === "assistant" && row?.playback === "none");
+}
+
 function appearsInConversation(num, convLog) {
   const digits = (num || "").replace(/\D/g, "");
   if (!digits) return false;
@@ -175,6 +184,12 @@ function deriveExplicitNameFromConversationLog(conversationLog) {
   return null;
 }
 
+// Lead fields the model saved with tools during the call (passive context).
+function toolLeadFields(call) {
+  const f = call?.passive_context?.lead_fields;
+  return f && typeof f === "object" ? f : {};
+}
+
 function buildConversationSignals(conversationLog, call) {
   const rows = Array.isArray(conversationLog) ? conversationLog : [];
   const userTexts = rows
@@ -189,10 +204,15 @@ function buildConversationSignals(conversationLog, call) {
       joined
     );
 
+  const toolCalls = Array.isArray(call?.passive_context?.tool_calls)
+    ? call.passive_context.tool_calls
+    : [];
+
   return {
     userTexts,
     joined,
     callbackRequested:
+      toolCalls.some((t) => t?.name === "request_callback") ||
       /לחזור\s+אליי|תחזרו\s+אליי|שיחזרו\s+אליי|בקשת\s+חזרה|call me back|callback/i.test(
         joined
       ),
@@ -245,6 +265,11 @@ function normalizeLead(
     }
   }
 
+  const fromTools = toolLeadFields(call);
+  for (const k of ["notes", "brand", "model"]) {
+    if (!out[k] && safeStr(fromTools[k])) out[k] = safeStr(fromTools[k]);
+  }
+
   if (isPlausibleFullName(out.full_name)) {
     out._name_source = "parsed";
   } else {
@@ -255,7 +280,8 @@ function normalizeLead(
     const candidateKnown = knownFullName ? safeStr(knownFullName) : null;
     if (candidateKnown && isPlausibleFullName(candidateKnown)) {
       out.full_name = candidateKnown;
-      out._name_source = "memory";
+      out._name_source =
+        safeStr(fromTools.full_name) === candidateKnown ? "tool" : "memory";
     }
   }
 
@@ -281,9 +307,13 @@ function normalizeLead(
     const candidateKnownPhone = normalizePhone(knownPhone);
     if (candidateKnownPhone) {
       out.callback_to_number = candidateKnownPhone;
-      out._phone_source = appearsInConversation(candidateKnownPhone, conversationLog)
-        ? "explicit"
-        : "memory";
+      const knownSource = call?.passive_context?.callback_number_source;
+      out._phone_source =
+        knownSource === "dtmf" || knownSource === "tool"
+          ? knownSource
+          : appearsInConversation(candidateKnownPhone, conversationLog)
+            ? "explicit"
+            : "memory";
     } else if (safeStr(call?.caller) && !call?.caller_withheld) {
       out.callback_to_number = normalizePhone(call.caller);
       out._phone_source = "caller_id";
@@ -294,6 +324,9 @@ function normalizeLead(
   if (parsedSubject && !isWeakSubjectValue(parsedSubject)) {
     out.subject = cleanText(parsedSubject);
     out._subject_source = "parsed";
+  } else if (!isWeakSubjectValue(safeStr(fromTools.subject))) {
+    out.subject = cleanText(fromTools.subject);
+    out._subject_source = "tool";
   } else {
     out.subject = null;
   }
@@ -314,6 +347,14 @@ function normalizeLead(
 }
 
 function decideEvent(lead, ssot, call, signals) {
+  // A person took over the call; the lead is theirs, not a bot outcome.
+  if (call?.transfer?.status === "redirected") {
+    return {
+      event: "TRANSFERRED",
+      decision_reason: `transferred_${call.transfer.reason || "human"}`,
+    };
+  }
+
   const hasStrongName = isPlausibleFullName(lead?.full_name);
   const hasStrongSubject = !isWeakSubjectValue(lead?.subject || "");
   const parsedLeadIntent = isLeadIntent(lead, ssot);
@@ -322,6 +363,8 @@ function decideEvent(lead, ssot, call, signals) {
   const hasCallbackPath =
     !!lead?.callback_to_number &&
     (lead?._phone_source === "explicit" ||
+      lead?._phone_source === "dtmf" ||
+      lead?._phone_source === "tool" ||
       lead?._phone_source === "memory" ||
       lead?._phone_source === "caller_id" ||
       lead?._phone_source === "parsed");
@@ -344,7 +387,11 @@ function decideEvent(lead, ssot, call, signals) {
   }
 
   if (call?.caller_withheld) {
-    if (!lead?.callback_to_number || lead?._phone_source !== "explicit") {
+    const typedOrSaid =
+      lead?._phone_source === "explicit" ||
+      lead?._phone_source === "dtmf" ||
+      lead?._phone_source === "tool";
+    if (!lead?.callback_to_number || !typedOrSaid) {
       return {
         event: "ABANDONED",
         decision_reason: "withheld_without_explicit_phone",
@@ -387,6 +434,7 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
       ),
       called: snapshot?.call?.called || snapshot?.called || null,
       source: snapshot?.call?.source || snapshot?.source || "VoiceBot_Blank",
+      tenant_id: snapshot?.call?.tenant_id || null,
       started_at: snapshot?.call?.started_at || snapshot?.started_at || null,
       ended_at: snapshot?.call?.ended_at || snapshot?.ended_at || null,
       duration_ms:
@@ -398,6 +446,8 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
         snapshot?.call?.finalize_reason || snapshot?.finalize_reason || null,
       passive_context: snapshot?.call?.passive_context || null,
       language_locked: snapshot?.call?.language_locked || null,
+      bot_playback: snapshot?.call?.bot_playback || null,
+      transfer: snapshot?.call?.transfer || null,
     };
 
     const conversationLog = Array.isArray(snapshot?.conversationLog)
@@ -436,18 +486,30 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
       }
     }
 
-    const transcript = buildTranscript(conversationLog);
+    const heardLog = conversationLog.filter(wasHeardByCaller);
+    const transcript = buildTranscript(heardLog);
     const knownFullName =
       safeStr(call?.passive_context?.name) ||
       safeStr(call?.passive_context?.returning_name);
     const knownPhone = safeStr(call?.passive_context?.callback_number);
 
+    // Tools already delivered a complete lead: no need for the post-call parser.
+    const fromTools = toolLeadFields(call);
+    const toolLeadComplete =
+      !!safeStr(fromTools.full_name) &&
+      !!safeStr(fromTools.subject) &&
+      !!knownPhone;
+
     let parsed = null;
-    if (isTrue(env.LEAD_PARSER_ENABLED) || env.LEAD_PARSER_ENABLED) {
+    if (toolLeadComplete) {
+      log.info("Postcall lead parser skipped: lead captured by tools", {
+        callSid: call.callSid,
+      });
+    } else if (isTrue(env.LEAD_PARSER_ENABLED) || env.LEAD_PARSER_ENABLED) {
       try {
         parsed = await parseLeadPostcall({
           transcriptText: transcript,
-          turns: conversationLog,
+          turns: heardLog,
           ssot,
           known: {
             full_name: knownFullName,
@@ -466,11 +528,11 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
       call,
       knownFullName,
       knownPhone,
-      conversationLog,
+      heardLog,
       ssot
     );
 
-    const signals = buildConversationSignals(conversationLog, call);
+    const signals = buildConversationSignals(heardLog, call);
     const { event, decision_reason } = decideEvent(
       parsedLead,
       ssot,
@@ -484,6 +546,10 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
         language_locked: call.language_locked,
         known_full_name: knownFullName,
         known_phone: knownPhone,
+        unheard_bot_entries: conversationLog.filter(
+          (r) => r?.role === "assistant" && r?.playback === "none"
+        ).length,
+        supervisor_entries: conversationLog.filter((r) => r?.role === "supervisor").length,
         parsedLead,
         decision_reason,
         event,
@@ -495,7 +561,9 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
         ? "completed"
         : event === "ABANDONED"
           ? "abandoned"
-          : "no_lead";
+          : event === "TRANSFERRED"
+            ? "transferred"
+            : "no_lead";
 
     const payloadBase = {
       call,
@@ -544,6 +612,13 @@ async function finalizePipeline({ snapshot, ssot, env, logger, senders }) {
         ) {
           await senders.sendAbandoned({ ...payloadBase });
         }
+      } else if (event === "TRANSFERRED") {
+        if (
+          (env.TRANSFERRED_WEBHOOK_URL || env.FINAL_WEBHOOK_URL) &&
+          typeof senders?.sendTransferred === "function"
+        ) {
+          await senders.sendTransferred({ ...payloadBase });
+        }
       }
     } catch (e) {
       log.warn("Lead webhook failed", { error: e?.message || String(e) });
@@ -2,10 +2,12 @@
 "use strict";
 
 // Post-call lead parsing (LLM) similar to GilSport style.
-// Uses Gemini generateContent (API key) and forces STRICT JSON output.
+// Uses Gemini generateContent (API key or Vertex AI, see utils/geminiEndpoints)
+// and forces STRICT JSON output.
 
 const { env } = require("../config/env");
 const { logger } = require("../utils/logger");
+const { generateContentTarget } = require("../utils/geminiEndpoints");
 
 function buildTranscript(turns) {
   if (!Array.isArray(turns)) return "";
@@ -82,13 +84,8 @@ function defaultPrompt(known = {}) {
 }
 
 async function callGeminiForJson({ prompt, transcript }) {
-  const apiKey = env.GEMINI_API_KEY;
   const model = env.LEAD_PARSER_MODEL || "gemini-1.5-flash";
-  if (!apiKey) throw new Error("GEMINI_API_KEY missing");
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    model
-  )}:generateContent?key=${encodeURIComponent(apiKey)}`;
+  const { url, headers } = await generateContentTarget(model);
 
   const body = {
     contents: [
@@ -106,7 +103,7 @@ async function callGeminiForJson({ prompt, transcript }) {
 
   const res = await fetch(url, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...headers },
     body: JSON.stringify(body),
   });
 
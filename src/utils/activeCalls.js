@@ -0,0 +1,53 @@
+"use strict";
+
+const { endMonitors } = require("./callMonitor");
+
+// Live sessions of this process, keyed by CallSid. Feeds graceful shutdown
+// and the /admin/calls API.
+
+const CALLS = new Map();
+
+function registerCall(callSid, session) {
+  if (!callSid || !session) return;
+  CALLS.set(callSid, session);
+}
+
+function unregisterCall(callSid) {
+  if (!callSid) return;
+  CALLS.delete(callSid);
+  endMonitors(callSid);
+}
+
+function getActiveSession(callSid) {
+  return CALLS.get(String(callSid || "").trim()) || null;
+}
+
+function listActiveSessions() {
+  return Array.from(CALLS.values());
+}
+
+function snapshotOf(session) {
+  try {
+    return session.getLiveSnapshot();
+  } catch {
+    return null;
+  }
+}
+
+function listActiveCalls() {
+  return listActiveSessions().map(snapshotOf).filter(Boolean);
+}
+
+function getActiveCall(callSid) {
+  const session = getActiveSession(callSid);
+  return session ? snapshotOf(session) : null;
+}
+
+module.exports = {
+  registerCall,
+  unregisterCall,
+  getActiveSession,
+  listActiveSessions,
+  listActiveCalls,
+  getActiveCall,
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+const fs = require("fs");
+const { logger } = require("./logger");
+
+// Pre-recorded μ-law 8k clips (raw, or a μ-law WAV whose header is stripped),
+// read once per path. null when the path is empty or unreadable. For other
+// carrier formats, encode with encodeUlaw8kClip (vendor/twilioGeminiAudio)
+// before framing.
+
+const CLIPS = new Map();
+
+// 20ms @ 8kHz, the frame size Twilio plays.
+const ULAW_FRAME_BYTES = 160;
+
+function loadUlawClip(file) {
+  const path = String(file || "").trim();
+  if (!path) return null;
+  if (CLIPS.has(path)) return CLIPS.get(path);
+
+  let clip = null;
+  try {
+    let buf = fs.readFileSync(path);
+    if (buf.slice(0, 4).toString("ascii") === "RIFF") {
+      const dataAt = buf.indexOf("data", 12, "ascii");
+      if (dataAt > 0) buf = buf.slice(dataAt + 8);
+    }
+    clip = buf.length ? buf : null;
+  } catch (e) {
+    logger.warn("Audio clip unreadable", { file: path, error: e?.message || String(e) });
+  }
+
+  CLIPS.set(path, clip);
+  return clip;
+}
+
+// Splits audio into 20ms frames (frameBytes = 20ms in the clip's format).
+function clipFramesB64(clip, frameBytes = ULAW_FRAME_BYTES) {
+  const frames = [];
+  for (let i = 0; i < (clip?.length || 0); i += frameBytes) {
+    frames.push(clip.slice(i, i + frameBytes).toString("base64"));
+  }
+  return frames;
+}
+
+module.exports = { loadUlawClip, clipFramesB64, ULAW_FRAME_BYTES };
@@ -0,0 +1,136 @@
+"use strict";
+
+// Carrier-side audio formats: G.711 μ-law / A-law and raw 16-bit linear PCM,
+// at 8, 16 or 24 kHz. Format names: "<codec><rate>", e.g. ulaw8k, alaw8k,
+// l16_16k, pcm24k.
+//   ulaw (mulaw) : G.711 μ-law, 1 byte/sample
+//   alaw         : G.711 A-law, 1 byte/sample
+//   l16          : 16-bit big-endian (RTP L16, RFC 3551)
+//   pcm          : 16-bit little-endian
+
+const DEFAULT_FORMAT = "ulaw8k";
+const RATES = [8000, 16000, 24000];
+
+const CODECS = {
+  ulaw: { bytesPerSample: 1, mime: "audio/x-mulaw" },
+  alaw: { bytesPerSample: 1, mime: "audio/x-alaw" },
+  l16: { bytesPerSample: 2, mime: "audio/L16" },
+  pcm: { bytesPerSample: 2, mime: "audio/pcm" },
+};
+
+function ulawByteToPcm16(sample) {
+  sample = ~sample & 0xff;
+  const sign = sample & 0x80;
+  let exponent = (sample >> 4) & 0x07;
+  let mantissa = sample & 0x0f;
+  let pcm = ((mantissa << 3) + 0x84) << exponent;
+  pcm -= 0x84;
+  return sign ? -pcm : pcm;
+}
+
+function pcm16ToUlawByte(pcm) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+
+  let sign = 0;
+  if (pcm < 0) {
+    sign = 0x80;
+    pcm = -pcm;
+  }
+  if (pcm > CLIP) pcm = CLIP;
+  pcm += BIAS;
+
+  let exponent = 7;
+  for (let expMask = 0x4000; (pcm & expMask) === 0 && exponent > 0; expMask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (pcm >> (exponent + 3)) & 0x0f;
+  const ulaw = ~(sign | (exponent << 4) | mantissa);
+  return ulaw & 0xff;
+}
+
+function alawByteToPcm16(sample) {
+  sample ^= 0x55;
+  const sign = sample & 0x80;
+  const exponent = (sample >> 4) & 0x07;
+  const mantissa = sample & 0x0f;
+  let pcm = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return sign ? pcm : -pcm;
+}
+
+function pcm16ToAlawByte(pcm) {
+  let sign = 0x80;
+  if (pcm < 0) {
+    sign = 0;
+    pcm = -pcm - 1;
+  }
+  if (pcm > 32767) pcm = 32767;
+
+  let exponent = 7;
+  for (let expMask = 0x4000; (pcm & expMask) === 0 && exponent > 0; expMask >>= 1) {
+    exponent--;
+  }
+  const mantissa = exponent === 0 ? (pcm >> 4) & 0x0f : (pcm >> (exponent + 3)) & 0x0f;
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+/**
+ * Parses a format name. Returns
+ * { name, codec, rate, bytesPerSample, bytesPerMs, mime } or null.
+ */
+function parseAudioFormat(name) {
+  const m = /^(ulaw|mulaw|alaw|l16|pcm)[_-]?(8|16|24)k?$/i.exec(String(name || "").trim());
+  if (!m) return null;
+
+  const codec = m[1].toLowerCase() === "mulaw" ? "ulaw" : m[1].toLowerCase();
+  const rate = Number(m[2]) * 1000;
+  if (!RATES.includes(rate)) return null;
+
+  const { bytesPerSample, mime } = CODECS[codec];
+  return {
+    name: `${codec}${codec === "l16" ? "_" : ""}${m[2]}k`,
+    codec,
+    rate,
+    bytesPerSample,
+    bytesPerMs: (rate / 1000) * bytesPerSample,
+    mime: `${mime};rate=${rate}`,
+  };
+}
+
+/** Encoded bytes -> Int16Array samples. */
+function decodeSamples(buf, format) {
+  const bps = format.bytesPerSample;
+  const n = Math.floor(buf.length / bps);
+  const out = new Int16Array(n);
+
+  if (format.codec === "ulaw") for (let i = 0; i < n; i++) out[i] = ulawByteToPcm16(buf[i]);
+  else if (format.codec === "alaw") for (let i = 0; i < n; i++) out[i] = alawByteToPcm16(buf[i]);
+  else if (format.codec === "l16") for (let i = 0; i < n; i++) out[i] = buf.readInt16BE(i * 2);
+  else for (let i = 0; i < n; i++) out[i] = buf.readInt16LE(i * 2);
+
+  return out;
+}
+
+/** Int16Array samples -> encoded Buffer. */
+function encodeSamples(samples, format) {
+  const n = samples.length;
+  const out = Buffer.alloc(n * format.bytesPerSample);
+
+  if (format.codec === "ulaw") for (let i = 0; i < n; i++) out[i] = pcm16ToUlawByte(samples[i]);
+  else if (format.codec === "alaw") for (let i = 0; i < n; i++) out[i] = pcm16ToAlawByte(samples[i]);
+  else if (format.codec === "l16") for (let i = 0; i < n; i++) out.writeInt16BE(samples[i], i * 2);
+  else for (let i = 0; i < n; i++) out.writeInt16LE(samples[i], i * 2);
+
+  return out;
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  parseAudioFormat,
+  decodeSamples,
+  encodeSamples,
+  ulawByteToPcm16,
+  pcm16ToUlawByte,
+  alawByteToPcm16,
+  pcm16ToAlawByte,
+};
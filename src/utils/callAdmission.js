@@ -0,0 +1,174 @@
+"use strict";
+
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+const twiml = require("./twiml");
+const { loadUlawClip } = require("./audioClips");
+
+// Admission control for live sessions.
+// Caps: MB_MAX_CONCURRENT_CALLS (whole process) and max_concurrent_calls per
+// tenant (TENANTS_JSON). 0 means unlimited.
+// Calls over the cap get the overflow behavior:
+// - apology  : pre-recorded μ-law clip (MB_OVERFLOW_AUDIO_FILE) or a <Say>, then hang up
+// - voicemail: <Say> + <Record>; the recording is reported to the tenant's
+//              FINAL webhook as OVERFLOW_VOICEMAIL (routes/overflowVoicemail)
+// - redirect : <Dial> to the overflow number
+
+const DEFAULT_APOLOGY =
+  "שלום, כל הנציגים שלנו עסוקים כרגע. נא לנסות שוב בעוד מספר דקות. תודה.";
+const DEFAULT_VOICEMAIL_PROMPT =
+  "שלום, כל הנציגים שלנו עסוקים כרגע. נא להשאיר הודעה עם שם ומספר טלפון אחרי הצליל, ונחזור אליכם.";
+
+const ACTIVE = new Map();
+const REJECTED = new Map();
+let activeTotal = 0;
+let rejectedTotal = 0;
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function limitsFor(tenant) {
+  return {
+    global: Math.max(0, Number(env.MB_MAX_CONCURRENT_CALLS) || 0),
+    tenant: Math.max(0, Number(tenant?.max_concurrent_calls) || 0),
+  };
+}
+
+function capacityReason(tenant) {
+  const limits = limitsFor(tenant);
+  if (limits.global && activeTotal >= limits.global) return "global_limit";
+  if (limits.tenant && (ACTIVE.get(tenant.id) || 0) >= limits.tenant) {
+    return "tenant_limit";
+  }
+  return "";
+}
+
+function isAtCapacity(tenant) {
+  return !!capacityReason(tenant);
+}
+
+function recordRejection(tenantId, reason) {
+  rejectedTotal += 1;
+  const key = safeStr(tenantId) || "default";
+  REJECTED.set(key, (REJECTED.get(key) || 0) + 1);
+  logger.warn("Call rejected: over capacity", {
+    tenant: key,
+    reason,
+    active_total: activeTotal,
+    rejected_total: rejectedTotal,
+  });
+}
+
+/**
+ * Reserves a live-session slot. Returns { ok, reason, release }; release()
+ * is idempotent and must be called when the call ends.
+ */
+function tryAdmit(tenant) {
+  const reason = capacityReason(tenant);
+  if (reason) {
+    recordRejection(tenant?.id, reason);
+    return { ok: false, reason, release: () => {} };
+  }
+
+  const id = tenant?.id || "default";
+  activeTotal += 1;
+  ACTIVE.set(id, (ACTIVE.get(id) || 0) + 1);
+
+  let released = false;
+  return {
+    ok: true,
+    reason: "admitted",
+    release: () => {
+      if (released) return;
+      released = true;
+      activeTotal = Math.max(0, activeTotal - 1);
+      const n = (ACTIVE.get(id) || 1) - 1;
+      if (n > 0) ACTIVE.set(id, n);
+      else ACTIVE.delete(id);
+    },
+  };
+}
+
+function getAdmissionStats() {
+  return {
+    max_concurrent_calls: limitsFor(null).global || null,
+    active_total: activeTotal,
+    active_by_tenant: Object.fromEntries(ACTIVE),
+    rejected_total: rejectedTotal,
+    rejected_by_tenant: Object.fromEntries(REJECTED),
+  };
+}
+
+function overflowPolicy(tenant, settings) {
+  const s = settings || {};
+  let mode = (
+    safeStr(tenant?.overflow_mode) ||
+    safeStr(s.OVERFLOW_MODE) ||
+    safeStr(env.MB_OVERFLOW_MODE) ||
+    "apology"
+  ).toLowerCase();
+  const number =
+    safeStr(tenant?.overflow_number) ||
+    safeStr(s.OVERFLOW_NUMBER) ||
+    safeStr(env.MB_OVERFLOW_NUMBER);
+
+  if (!["apology", "voicemail", "redirect"].includes(mode)) mode = "apology";
+  if (mode === "redirect" && !number) mode = "apology";
+
+  return {
+    mode,
+    number,
+    apology: safeStr(s.OVERFLOW_MESSAGE) || DEFAULT_APOLOGY,
+    voicemail_prompt: safeStr(s.OVERFLOW_VOICEMAIL_PROMPT) || DEFAULT_VOICEMAIL_PROMPT,
+    language: safeStr(s.TWIML_SAY_LANGUAGE) || "he-IL",
+  };
+}
+
+// The recording callback carries CallSid but not the caller or the tenant,
+// so both ride in its query string.
+function voicemailCallbackUrl({ tenantId, caller } = {}) {
+  const base = safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+  if (!base) return "";
+  const qs = new URLSearchParams({ tenant: safeStr(tenantId), caller: safeStr(caller) });
+  return `${base}/twilio/overflow-voicemail?${qs}`;
+}
+
+/**
+ * @param {object} policy      overflowPolicy()
+ * @param {object} [call]      { tenantId, caller } for the voicemail report
+ */
+function buildOverflowTwiml(policy, call = {}) {
+  if (policy.mode === "redirect") {
+    return twiml.response(twiml.dial(policy.number));
+  }
+
+  if (policy.mode === "voicemail") {
+    return twiml.response(
+      twiml.say(policy.voicemail_prompt, policy.language),
+      twiml.record({
+        maxLengthSec: 120,
+        recordingStatusCallback: voicemailCallbackUrl(call),
+      }),
+      "<Hangup/>"
+    );
+  }
+
+  return twiml.response(twiml.say(policy.apology, policy.language), "<Hangup/>");
+}
+
+// Pre-recorded apology clip (MB_OVERFLOW_AUDIO_FILE), or null.
+function getOverflowAudio() {
+  return loadUlawClip(env.MB_OVERFLOW_AUDIO_FILE);
+}
+
+module.exports = {
+  tryAdmit,
+  isAtCapacity,
+  recordRejection,
+  getAdmissionStats,
+  overflowPolicy,
+  buildOverflowTwiml,
+  getOverflowAudio,
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+const { logger } = require("./logger");
+
+// Supervisor listeners per live call (see ws/adminMonitorWs.js).
+// Publishing is fire-and-forget: with no listener it is a Map miss, and a
+// listener whose socket backs up loses audio frames instead of slowing the call.
+
+const MAX_BUFFERED_BYTES = 512 * 1024;
+
+const MONITORS = new Map(); // callSid -> Set<WebSocket>
+
+function addMonitor(callSid, ws) {
+  let set = MONITORS.get(callSid);
+  if (!set) {
+    set = new Set();
+    MONITORS.set(callSid, set);
+  }
+  set.add(ws);
+  ws.monitorDropped = 0;
+  ws.on("close", () => removeMonitor(callSid, ws));
+}
+
+function removeMonitor(callSid, ws) {
+  const set = MONITORS.get(callSid);
+  if (!set) return;
+  set.delete(ws);
+  if (!set.size) MONITORS.delete(callSid);
+}
+
+function hasMonitors(callSid) {
+  return !!callSid && MONITORS.has(callSid);
+}
+
+function publish(callSid, event, { droppable = false } = {}) {
+  const set = callSid && MONITORS.get(callSid);
+  if (!set) return;
+
+  const data = JSON.stringify(event);
+  for (const ws of set) {
+    if (ws.readyState !== 1) continue;
+    if (droppable && ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      ws.monitorDropped += 1;
+      continue;
+    }
+    try {
+      ws.send(data);
+    } catch {}
+  }
+}
+
+function publishAudio(callSid, track, b64, format = "audio/x-mulaw;rate=8000") {
+  if (!MONITORS.has(callSid)) return;
+  publish(
+    callSid,
+    { event: "media", track, format, payload: b64 },
+    { droppable: true }
+  );
+}
+
+function publishUtterance(callSid, entry) {
+  if (!MONITORS.has(callSid)) return;
+  publish(callSid, { event: "utterance", ...entry });
+}
+
+// Call ended: tell listeners and hang up on them.
+function endMonitors(callSid) {
+  const set = MONITORS.get(callSid);
+  if (!set) return;
+  MONITORS.delete(callSid);
+
+  for (const ws of set) {
+    if (ws.monitorDropped) {
+      logger.info("Supervisor monitor dropped audio frames", {
+        callSid,
+        dropped: ws.monitorDropped,
+      });
+    }
+    try {
+      ws.send(JSON.stringify({ event: "end", callSid }));
+      ws.close(1000, "call_ended");
+    } catch {}
+  }
+}
+
+module.exports = {
+  addMonitor,
+  hasMonitors,
+  publish,
+  publishAudio,
+  publishUtterance,
+  endMonitors,
+};
@@ -0,0 +1,111 @@
+"use strict";
+
+const { env } = require("../config/env");
+const { getAccessToken } = require("./googleAuth");
+
+// Where Gemini calls go.
+// - API key (default): generativelanguage.googleapis.com with ?key=GEMINI_API_KEY
+// - Vertex AI (GEMINI_VERTEX_ENABLED=true): regional aiplatform endpoint for
+//   GEMINI_PROJECT_ID / GEMINI_LOCATION, Bearer token from the service account.
+//   GEMINI_VERTEX_BASE_URL replaces https://<location>-aiplatform.googleapis.com
+//   (e.g. a local stand-in server).
+
+const API_KEY_HTTP_BASE = "https://generativelanguage.googleapis.com";
+const API_KEY_LIVE_PATH =
+  "/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent";
+const VERTEX_LIVE_PATH =
+  "/ws/google.cloud.aiplatform.v1beta1.LlmBidiService/BidiGenerateContent";
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function isVertexMode() {
+  return !!env.GEMINI_VERTEX_ENABLED;
+}
+
+function vertexLocation() {
+  return safeStr(env.GEMINI_LOCATION) || "us-central1";
+}
+
+function vertexProject() {
+  const p = safeStr(env.GEMINI_PROJECT_ID);
+  if (!p) throw new Error("Missing GEMINI_PROJECT_ID");
+  return p;
+}
+
+function vertexHttpBase() {
+  const override = safeStr(env.GEMINI_VERTEX_BASE_URL).replace(/\/+$/, "");
+  return override || `https://${vertexLocation()}-aiplatform.googleapis.com`;
+}
+
+function toWs(base) {
+  return base.replace(/^http/i, "ws");
+}
+
+function bareModel(m) {
+  return safeStr(m).replace(/^models\//, "");
+}
+
+/** Model name for the Live "setup" message. */
+function liveModelName(model) {
+  const m = bareModel(model);
+  if (!m) return "";
+  if (!isVertexMode()) return `models/${m}`;
+  return `projects/${vertexProject()}/locations/${vertexLocation()}/publishers/google/models/${m}`;
+}
+
+/** API-key Live WebSocket URL. */
+function liveWsUrl() {
+  const key = env.GEMINI_API_KEY;
+  if (!key) throw new Error("Missing GEMINI_API_KEY");
+  return `${toWs(API_KEY_HTTP_BASE)}${API_KEY_LIVE_PATH}?key=${encodeURIComponent(key)}`;
+}
+
+/** Vertex Live WebSocket target: { url, headers }. */
+async function vertexLiveWsTarget() {
+  vertexProject();
+  const token = await getAccessToken();
+  return {
+    url: `${toWs(vertexHttpBase())}${VERTEX_LIVE_PATH}`,
+    headers: { Authorization: `Bearer ${token}` },
+  };
+}
+
+/** generateContent target for a model: { url, headers }. */
+async function generateContentTarget(model) {
+  const m = encodeURIComponent(bareModel(model));
+
+  if (!isVertexMode()) {
+    const key = env.GEMINI_API_KEY;
+    if (!key) throw new Error("GEMINI_API_KEY missing");
+    return {
+      url: `${API_KEY_HTTP_BASE}/v1beta/models/${m}:generateContent?key=${encodeURIComponent(key)}`,
+      headers: {},
+    };
+  }
+
+  const project = encodeURIComponent(vertexProject());
+  const location = encodeURIComponent(vertexLocation());
+  const token = await getAccessToken();
+  return {
+    url: `${vertexHttpBase()}/v1/projects/${project}/locations/${location}/publishers/google/models/${m}:generateContent`,
+    headers: { Authorization: `Bearer ${token}` },
+  };
+}
+
+// Configured well enough to attempt a call (no network check).
+function hasGeminiCredentials() {
+  if (!isVertexMode()) return !!safeStr(env.GEMINI_API_KEY);
+  return !!safeStr(env.GEMINI_PROJECT_ID) && !!safeStr(env.GOOGLE_SERVICE_ACCOUNT_JSON_B64);
+}
+
+module.exports = {
+  isVertexMode,
+  liveModelName,
+  liveWsUrl,
+  vertexLiveWsTarget,
+  generateContentTarget,
+  hasGeminiCredentials,
+};
@@ -0,0 +1,35 @@
+"use strict";
+
+const { google } = require("googleapis");
+const { getServiceAccount } = require("../ssot/ssotClient");
+
+// OAuth access tokens for the SSOT service account. One google.auth.JWT client
+// per scope: the library caches the token, refreshes it before it expires and
+// shares a refresh between concurrent callers.
+
+const CLOUD_PLATFORM_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+
+const CLIENTS = new Map(); // scope -> google.auth.JWT
+
+function jwtClient(scope) {
+  if (!CLIENTS.has(scope)) {
+    const sa = getServiceAccount();
+    CLIENTS.set(
+      scope,
+      new google.auth.JWT({
+        email: sa.client_email,
+        key: sa.private_key,
+        scopes: [scope],
+      })
+    );
+  }
+  return CLIENTS.get(scope);
+}
+
+async function getAccessToken(scope = CLOUD_PLATFORM_SCOPE) {
+  const { token } = await jwtClient(scope).getAccessToken();
+  if (!token) throw new Error("Google token response without access_token");
+  return token;
+}
+
+module.exports = { getAccessToken, CLOUD_PLATFORM_SCOPE };
@@ -0,0 +1,196 @@
+"use strict";
+
+// Outbound audio pacer toward the carrier. Bot audio arrives from the model
+// in bursts of arbitrary size; the pacer cuts it into 20ms frames and sends
+// them on a steady clock, keeping only jitterMs of audio ahead of real time
+// so the carrier's buffer stays small and a barge-in clear drops little.
+//
+// Marks are queued in line with the audio, so they go out right after the
+// frame holding the last byte before them (a chunk's tail rides in the next
+// chunk's first frame, so its mark may come up to one frame late). When the
+// queue runs dry the clock stops, and it restarts once jitterMs of audio is
+// buffered again (or jitterMs passed).
+
+const FRAME_MS = 20;
+const TICK_MS = 10;
+
+/**
+ * @param {object} opts
+ * @param {number} opts.frameBytes              bytes per 20ms frame in the carrier format
+ * @param {number} opts.jitterMs                prebuffer and lead over real time
+ * @param {(b64: string) => void} opts.sendFrame
+ * @param {(name: string) => void} opts.sendMark
+ * @param {(turnId: number, at: number) => void} [opts.onTurnStart]  first frame of a bot turn sent
+ */
+function createMediaPacer({ frameBytes, jitterMs, sendFrame, sendMark, onTurnStart } = {}) {
+  const leadFrames = Math.max(1, Math.round((Number(jitterMs) || 0) / FRAME_MS));
+
+  let queue = []; // { frame: Buffer, turnId } | { mark: string }
+  let queuedFrames = 0;
+  let partial = null; // { buf, turnId, marks }: bytes short of a full frame
+  let timer = null;
+  let clockStartedAt = 0;
+  let sentSinceStart = 0;
+  let firstQueuedAt = 0;
+  let lastTurnId = null;
+  let dryTurnId = null; // turn whose audio ran out mid-stream
+  let stopped = false;
+
+  const stats = {
+    frames_sent: 0,
+    frames_cleared: 0,
+    underruns: 0,
+    max_depth_ms: 0,
+  };
+
+  function depthMs() {
+    return queuedFrames * FRAME_MS;
+  }
+
+  function pushFrame(frame, turnId) {
+    queue.push({ frame, turnId });
+    queuedFrames += 1;
+    if (!firstQueuedAt) firstQueuedAt = Date.now();
+    stats.max_depth_ms = Math.max(stats.max_depth_ms, depthMs());
+  }
+
+  // Trailing bytes of the previous chunk go out as a short frame rather than
+  // being glued to audio of another turn.
+  function flushPartial() {
+    if (!partial) return;
+    pushFrame(partial.buf, partial.turnId);
+    pushMarks(partial.marks);
+    partial = null;
+  }
+
+  function pushMarks(names) {
+    for (const name of names) queue.push({ mark: name });
+  }
+
+  function enqueue(b64, playback) {
+    if (stopped) return;
+    const turnId = playback?.turnId ?? null;
+    let buf = Buffer.from(b64, "base64");
+    let marks = [];
+
+    if (partial && partial.turnId === turnId) {
+      buf = Buffer.concat([partial.buf, buf]);
+      marks = partial.marks;
+      partial = null;
+    } else {
+      flushPartial();
+    }
+
+    let i = 0;
+    for (; i + frameBytes <= buf.length; i += frameBytes) {
+      pushFrame(buf.subarray(i, i + frameBytes), turnId);
+      pushMarks(marks);
+      marks = [];
+    }
+
+    // "Turn played up to turnMs": goes after the last byte of this chunk.
+    if (playback?.turnId) marks.push(`bot:${playback.turnId}:${playback.turnMs}`);
+
+    if (i < buf.length) partial = { buf: Buffer.from(buf.subarray(i)), turnId, marks };
+    else pushMarks(marks);
+    ensureTimer();
+  }
+
+  function mark(name) {
+    if (stopped) return;
+    flushPartial();
+    queue.push({ mark: name });
+    ensureTimer();
+  }
+
+  function ensureTimer() {
+    if (!timer) timer = setInterval(tick, TICK_MS);
+  }
+
+  function tick() {
+    const now = Date.now();
+
+    if (!clockStartedAt) {
+      if (!queuedFrames) {
+        flushPartial();
+        if (!queuedFrames) {
+          drainMarks();
+          if (!queue.length) {
+            clearInterval(timer);
+            timer = null;
+          }
+          return;
+        }
+      }
+      // Prebuffer: wait for jitterMs of audio, but not longer than jitterMs.
+      if (queuedFrames < leadFrames && now - firstQueuedAt < leadFrames * FRAME_MS) return;
+      const next = queue.find((item) => !item.mark);
+      if (dryTurnId && next?.turnId === dryTurnId) stats.underruns += 1;
+      dryTurnId = null;
+      clockStartedAt = now;
+      sentSinceStart = 0;
+    }
+
+    const due = Math.floor((now - clockStartedAt) / FRAME_MS) + leadFrames;
+    while (sentSinceStart < due && queue.length) {
+      const item = queue.shift();
+      if (item.mark) {
+        sendMark(item.mark);
+        continue;
+      }
+      queuedFrames -= 1;
+      sentSinceStart += 1;
+      stats.frames_sent += 1;
+      if (item.turnId && item.turnId !== lastTurnId) {
+        lastTurnId = item.turnId;
+        if (onTurnStart) onTurnStart(item.turnId, now);
+      }
+      sendFrame(item.frame.toString("base64"));
+    }
+    drainMarks();
+
+    if (!queuedFrames) {
+      // Ran dry. A partial frame left now is the end of an answer.
+      if (partial) return flushPartial();
+      dryTurnId = lastTurnId;
+      clockStartedAt = 0;
+      firstQueuedAt = 0;
+    }
+  }
+
+  // Marks at the head of the queue need no clock time.
+  function drainMarks() {
+    while (queue.length && queue[0].mark) sendMark(queue.shift().mark);
+  }
+
+  /** Barge-in: drop everything not sent yet. Returns the dropped audio in ms. */
+  function clear() {
+    const dropped = queuedFrames + (partial ? 1 : 0);
+    stats.frames_cleared += dropped;
+    queue = [];
+    queuedFrames = 0;
+    partial = null;
+    clockStartedAt = 0;
+    firstQueuedAt = 0;
+    dryTurnId = null;
+    return dropped * FRAME_MS;
+  }
+
+  function stop() {
+    stopped = true;
+    clear();
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enqueue,
+    mark,
+    clear,
+    stop,
+    depthMs,
+    stats: () => ({ ...stats, depth_ms: depthMs() }),
+  };
+}
+
+module.exports = { createMediaPacer, FRAME_MS };
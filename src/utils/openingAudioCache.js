@@ -0,0 +1,197 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+
+// Rendered opening audio (model PCM: 24k, 16-bit little-endian), one clip per
+// opening variant, in memory and on disk so a restart keeps it.
+//
+// Clips live in one directory per tenant, named "<fingerprint>-<variant>.pcm".
+// The fingerprint hashes the opening scripts and the voice: when either
+// changes, the tenant's older clips are deleted the first time the new
+// fingerprint is looked up.
+//
+// Lookups run on the call-start path and only read memory. A tenant's
+// directory is loaded in the background at boot (preloadOpeningAudio) or on
+// its first lookup; until it is in, lookups miss and the model renders.
+
+const MEMORY = new Map(); // scope -> Map(file -> Buffer, oldest first)
+const FINGERPRINTS = new Map(); // scope -> fingerprint last seen
+const LOADS = new Map(); // scope -> Promise of the directory load
+const WRITES = new Map(); // scope -> last queued write (writes and prunes run in order)
+
+function shortHash(x) {
+  return crypto.createHash("sha1").update(String(x)).digest("hex").slice(0, 16);
+}
+
+function cacheDir() {
+  return env.MB_OPENING_AUDIO_CACHE_DIR || path.join(process.cwd(), "data", "opening-audio");
+}
+
+function scopeName(scope) {
+  return String(scope || "default").replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+function maxClips() {
+  return Math.max(1, env.MB_OPENING_AUDIO_CACHE_MAX || 200);
+}
+
+function fileName(fingerprint, variant) {
+  return `${fingerprint}-${shortHash(variant)}.pcm`;
+}
+
+function isCurrent(scope, file) {
+  const fingerprint = FINGERPRINTS.get(scope);
+  return !fingerprint || file.startsWith(`${fingerprint}-`);
+}
+
+function clipsOf(scope) {
+  if (!MEMORY.has(scope)) MEMORY.set(scope, new Map());
+  return MEMORY.get(scope);
+}
+
+// The cap is per tenant, like pruneDir's: a busy tenant only evicts its own clips.
+function remember(scope, file, pcm) {
+  const clips = clipsOf(scope);
+  clips.delete(file);
+  clips.set(file, pcm);
+  while (clips.size > maxClips()) clips.delete(clips.keys().next().value);
+}
+
+async function removeStaleFiles(scope) {
+  const dir = path.join(cacheDir(), scope);
+  let removed = 0;
+  for (const f of await fs.promises.readdir(dir)) {
+    if (f.endsWith(".pcm") && !isCurrent(scope, f)) {
+      await fs.promises.unlink(path.join(dir, f)).catch(() => {});
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+function invalidateStale(scope, fingerprint) {
+  if (FINGERPRINTS.get(scope) === fingerprint) return;
+  FINGERPRINTS.set(scope, fingerprint);
+
+  let dropped = 0;
+  const clips = clipsOf(scope);
+  for (const file of [...clips.keys()]) {
+    if (!file.startsWith(`${fingerprint}-`)) {
+      clips.delete(file);
+      dropped += 1;
+    }
+  }
+
+  removeStaleFiles(scope)
+    .catch((e) => {
+      if (e?.code !== "ENOENT") {
+        logger.warn("Opening audio cache cleanup failed", { scope, error: e?.message || String(e) });
+      }
+      return 0;
+    })
+    .then((removed) => {
+      if (dropped || removed) {
+        logger.info("Opening audio cache invalidated", { scope, clips: dropped, files: removed });
+      }
+    });
+}
+
+async function readScope(scope) {
+  const dir = path.join(cacheDir(), scope);
+  let files;
+  try {
+    files = (await fs.promises.readdir(dir)).filter((f) => f.endsWith(".pcm"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return 0;
+    throw e;
+  }
+
+  let loaded = 0;
+  const clips = clipsOf(scope);
+  for (const f of files.slice(-maxClips())) {
+    if (clips.has(f) || !isCurrent(scope, f)) continue;
+    const pcm = await fs.promises.readFile(path.join(dir, f));
+    // The fingerprint may have moved on while the file was read.
+    if (pcm.length && isCurrent(scope, f) && !clips.has(f)) {
+      remember(scope, f, pcm);
+      loaded += 1;
+    }
+  }
+  return loaded;
+}
+
+// Loads a tenant's clips from disk into memory, once per process.
+function loadScope(scope) {
+  if (!LOADS.has(scope)) {
+    LOADS.set(
+      scope,
+      readScope(scope).catch((e) => {
+        logger.warn("Opening audio cache load failed", { scope, error: e?.message || String(e) });
+        return 0;
+      })
+    );
+  }
+  return LOADS.get(scope);
+}
+
+/** Warms the cache for a tenant (e.g. at boot). Resolves to the number of clips loaded. */
+function preloadOpeningAudio(scope) {
+  return loadScope(scopeName(scope));
+}
+
+/** Cached clip for the variant, or null. Memory only; never touches the disk synchronously. */
+function getOpeningAudio(scope, fingerprint, variant) {
+  const s = scopeName(scope);
+  invalidateStale(s, fingerprint);
+  loadScope(s);
+
+  return clipsOf(s).get(fileName(fingerprint, variant)) || null;
+}
+
+// Oldest clips go first once the tenant directory holds more than the cap.
+async function pruneDir(dir) {
+  const files = (await fs.promises.readdir(dir)).filter((f) => f.endsWith(".pcm"));
+  if (files.length <= maxClips()) return;
+
+  // A file may vanish meanwhile (invalidation): skip it.
+  const stats = (
+    await Promise.all(
+      files.map((f) =>
+        fs.promises
+          .stat(path.join(dir, f))
+          .then((st) => ({ f, mtime: st.mtimeMs }))
+          .catch(() => null)
+      )
+    )
+  ).filter(Boolean);
+  stats.sort((a, b) => a.mtime - b.mtime);
+  for (const { f } of stats.slice(0, stats.length - maxClips())) {
+    await fs.promises.unlink(path.join(dir, f)).catch(() => {});
+  }
+}
+
+/** Stores a rendered clip. Disk write is best-effort and never awaited by callers. */
+function putOpeningAudio(scope, fingerprint, variant, pcm) {
+  if (!pcm?.length) return;
+  const s = scopeName(scope);
+  invalidateStale(s, fingerprint);
+
+  const file = fileName(fingerprint, variant);
+  remember(s, file, pcm);
+
+  const dir = path.join(cacheDir(), s);
+  const write = (WRITES.get(s) || Promise.resolve())
+    .then(() => fs.promises.mkdir(dir, { recursive: true }))
+    .then(() => fs.promises.writeFile(path.join(dir, file), pcm))
+    .then(() => pruneDir(dir))
+    .catch((e) => {
+      logger.warn("Opening audio cache write failed", { scope: s, error: e?.message || String(e) });
+    });
+  WRITES.set(s, write);
+}
+
+module.exports = { shortHash, getOpeningAudio, putOpeningAudio, preloadOpeningAudio };
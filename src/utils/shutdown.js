@@ -0,0 +1,122 @@
+"use strict";
+
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+
+// Graceful shutdown (Render redeploys send SIGTERM):
+// 1. readiness flips to "draining"; new media WS upgrades are refused
+// 2. active calls keep running until they end or MB_SHUTDOWN_DRAIN_MS passes
+// 3. remaining sessions are force-finalized (finalize_reason "server_shutdown")
+// 4. pending finalizations / webhook deliveries get MB_SHUTDOWN_FLUSH_MS to land
+// A second signal exits immediately.
+
+let draining = false;
+const PENDING = new Set();
+
+function isDraining() {
+  return draining;
+}
+
+/**
+ * Registers async work (webhook delivery, call finalize) the process must
+ * not exit in the middle of. Returns the same promise.
+ */
+function trackPending(promise) {
+  if (!promise || typeof promise.then !== "function") return promise;
+  const p = Promise.resolve(promise).catch(() => {});
+  PENDING.add(p);
+  p.finally(() => PENDING.delete(p));
+  return promise;
+}
+
+function pendingCount() {
+  return PENDING.size;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function waitForPending(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (PENDING.size && Date.now() < deadline) {
+    await Promise.race([Promise.all(Array.from(PENDING)), sleep(deadline - Date.now())]);
+  }
+  return PENDING.size === 0;
+}
+
+async function waitForCallsToEnd(listSessions, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (listSessions().length && Date.now() < deadline) {
+    await sleep(Math.min(500, Math.max(0, deadline - Date.now())));
+  }
+  return listSessions().length === 0;
+}
+
+/**
+ * @param {object} opts
+ * @param {import("http").Server} opts.server
+ * @param {import("ws").Server} opts.wss       Twilio media stream server
+ * @param {() => Array<{stop: Function}>} opts.listSessions  live Gemini sessions
+ */
+function installGracefulShutdown({ server, wss, listSessions }) {
+  async function shutdown(signal) {
+    if (draining) {
+      logger.warn("Second shutdown signal; exiting now", { signal });
+      process.exit(1);
+    }
+    draining = true;
+
+    const drainMs = env.MB_SHUTDOWN_DRAIN_MS;
+    const flushMs = env.MB_SHUTDOWN_FLUSH_MS;
+    const t0 = Date.now();
+
+    logger.info("Shutdown: draining", {
+      signal,
+      active_calls: listSessions().length,
+      drain_ms: drainMs,
+    });
+
+    const drained = await waitForCallsToEnd(listSessions, drainMs);
+
+    const remaining = listSessions();
+    const forced = drained ? 0 : remaining.length;
+    if (!drained) {
+      logger.warn("Shutdown: drain deadline reached; finalizing active calls", {
+        active_calls: remaining.length,
+      });
+      for (const session of remaining) {
+        trackPending(session.stop("server_shutdown"));
+      }
+      for (const client of wss?.clients || []) {
+        try {
+          client.close(1001, "server_shutdown");
+        } catch {}
+      }
+    }
+
+    const flushed = await waitForPending(flushMs);
+
+    logger.info("Shutdown: complete", {
+      signal,
+      drained,
+      forced_calls: forced,
+      pending_left: pendingCount(),
+      flushed,
+      took_ms: Date.now() - t0,
+    });
+
+    server.close();
+    process.exit(0);
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+module.exports = {
+  isDraining,
+  trackPending,
+  pendingCount,
+  installGracefulShutdown,
+};
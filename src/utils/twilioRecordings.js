@@ -3,6 +3,7 @@
 const { Readable } = require("node:stream");
 const fs = require("fs");
 const path = require("path");
+const twiml = require("./twiml");
 
 // Check boolean-like env
 function isTrue(v) {
@@ -109,6 +110,85 @@ async function hangupCall(callSid, logger) {
   }
 }
 
+// Replace a live call's TwiML. The media stream ends as soon as Twilio
+// applies it.
+async function redirectCall(callSid, twimlDoc, logger) {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) return false;
+  if (!callSid || !twimlDoc) return false;
+
+  try {
+    const url = `${twilioBase()}/Calls/${encodeURIComponent(callSid)}.json`;
+    const body = new URLSearchParams({ Twiml: twimlDoc });
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        authorization: twilioAuthHeader(),
+        "content-type": "application/x-www-form-urlencoded",
+      },
+      body,
+    });
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => "");
+      logger?.warn?.("Twilio redirect failed", { status: resp.status, body: t?.slice?.(0, 250) });
+      return false;
+    }
+    return true;
+  } catch (e) {
+    logger?.warn?.("Twilio redirect exception", { err: String(e) });
+    return false;
+  }
+}
+
+// Redirect a live call to a <Dial> target (phone number or sip: URI).
+async function transferCall(callSid, target, logger) {
+  const to = String(target || "").trim();
+  if (!to) return false;
+  return redirectCall(callSid, twiml.response(twiml.dial(to)), logger);
+}
+
+// Place an outbound call. Twilio fetches TwiML from `url` once the call is
+// answered. Returns { ok, callSid, reason }.
+async function createOutboundCall({ to, from, url, statusCallback }, logger) {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+    return { ok: false, callSid: null, reason: "twilio_creds_missing" };
+  }
+
+  try {
+    const body = new URLSearchParams({ To: to, From: from, Url: url, Method: "POST" });
+    if (statusCallback) {
+      body.set("StatusCallback", statusCallback);
+      body.set("StatusCallbackMethod", "POST");
+      for (const ev of ["initiated", "ringing", "answered", "completed"]) {
+        body.append("StatusCallbackEvent", ev);
+      }
+    }
+
+    const resp = await fetch(`${twilioBase()}/Calls.json`, {
+      method: "POST",
+      headers: {
+        authorization: twilioAuthHeader(),
+        "content-type": "application/x-www-form-urlencoded",
+      },
+      body,
+    });
+
+    const txt = await resp.text().catch(() => "");
+    if (!resp.ok) {
+      logger?.warn?.("Twilio outbound call failed", {
+        status: resp.status,
+        body: txt?.slice?.(0, 300),
+      });
+      return { ok: false, callSid: null, reason: `twilio_${resp.status}` };
+    }
+
+    const j = JSON.parse(txt);
+    return { ok: true, callSid: j.sid || null, reason: "queued" };
+  } catch (e) {
+    logger?.warn?.("Twilio outbound call exception", { err: String(e) });
+    return { ok: false, callSid: null, reason: "twilio_call_exception" };
+  }
+}
+
 // Streaming proxy for Twilio recording MP3 with timeout
 async function proxyRecordingMp3(recordingSid, res, logger) {
   const accountSid = process.env.TWILIO_ACCOUNT_SID;
@@ -217,6 +297,9 @@ module.exports = {
   startCallRecording,
   publicRecordingUrl,
   hangupCall,
+  redirectCall,
+  transferCall,
+  createOutboundCall,
   proxyRecordingMp3,
   downloadRecording,
 };
@@ -0,0 +1,145 @@
+"use strict";
+
+const crypto = require("crypto");
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+
+// Twilio request authentication.
+// - HTTP webhooks: X-Twilio-Signature = base64(HMAC-SHA1(auth token, URL + sorted POST params)).
+// - Media stream: the WS handshake carries the same header, and /twilio/voice puts a
+//   short-lived signed token into the <Stream> custom parameters, checked on "start".
+// TWILIO_VALIDATE_SIGNATURES=false turns all of it off (local development).
+// Streams not started through /twilio/voice (TwiML Bins, console TwiML) carry no
+// token: TWILIO_REQUIRE_STREAM_TOKEN=false lets them in on the handshake check alone.
+
+const STREAM_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function authToken() {
+  return safeStr(env.TWILIO_AUTH_TOKEN);
+}
+
+function publicBase() {
+  return safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+}
+
+function validationEnabled() {
+  return env.TWILIO_VALIDATE_SIGNATURES !== false;
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+function computeTwilioSignature(token, url, params) {
+  const p = params && typeof params === "object" ? params : {};
+  const data = Object.keys(p)
+    .sort()
+    .reduce((acc, k) => {
+      const v = p[k];
+      const values = Array.isArray(v) ? v : [v];
+      return acc + values.map((x) => `${k}${x ?? ""}`).join("");
+    }, String(url || ""));
+  return crypto.createHmac("sha1", token).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+/**
+ * Checks a request against the URLs Twilio may have signed.
+ * Returns { ok, reason }.
+ */
+function checkSignature(signature, urls, params) {
+  if (!validationEnabled()) return { ok: true, reason: "validation_disabled" };
+
+  const token = authToken();
+  if (!token) return { ok: false, reason: "auth_token_missing" };
+  if (!publicBase()) return { ok: false, reason: "public_base_url_missing" };
+  if (!signature) return { ok: false, reason: "signature_missing" };
+
+  for (const url of urls) {
+    if (safeEqual(signature, computeTwilioSignature(token, url, params))) {
+      return { ok: true, reason: "valid" };
+    }
+  }
+  return { ok: false, reason: "signature_mismatch" };
+}
+
+function validateTwilioRequest(req) {
+  const signature = safeStr(req.headers["x-twilio-signature"]);
+  const url = `${publicBase()}${req.originalUrl || req.url || ""}`;
+  const params = req.method === "POST" && req.body && typeof req.body === "object" ? req.body : {};
+  return checkSignature(signature, [url], params);
+}
+
+// Twilio signs the media stream handshake; accept both the wss:// URL and
+// its https:// twin since the scheme it signs is not documented consistently.
+function validateTwilioUpgrade(req) {
+  const signature = safeStr(req.headers["x-twilio-signature"]);
+  const https = `${publicBase()}${req.url || ""}`;
+  const wss = https.replace(/^http/i, "ws");
+  return checkSignature(signature, [wss, https], {});
+}
+
+/**
+ * Express middleware for Twilio webhooks. Rejects with 403 and logs why.
+ */
+function requireTwilioSignature(label) {
+  return (req, res, next) => {
+    const check = validateTwilioRequest(req);
+    if (check.ok) return next();
+
+    logger.warn("Twilio webhook rejected", {
+      route: label || req.path,
+      reason: check.reason,
+      ip: req.ip,
+      callSid: safeStr(req.body?.CallSid) || null,
+    });
+    return res.status(403).type("text/plain").send("forbidden");
+  };
+}
+
+function signStreamPayload(callSid, exp) {
+  return crypto
+    .createHmac("sha256", authToken())
+    .update(`${safeStr(callSid)}.${exp}`)
+    .digest("base64url");
+}
+
+function createStreamToken(callSid) {
+  if (!authToken()) return "";
+  const exp = Date.now() + STREAM_TOKEN_TTL_MS;
+  return `${exp}.${signStreamPayload(callSid, exp)}`;
+}
+
+function verifyStreamToken(token, callSid) {
+  if (!validationEnabled()) return { ok: true, reason: "validation_disabled" };
+  if (!authToken()) return { ok: false, reason: "auth_token_missing" };
+
+  if (!safeStr(token) && env.TWILIO_REQUIRE_STREAM_TOKEN === false) {
+    return { ok: true, reason: "token_not_required" };
+  }
+
+  const [expStr, sig] = safeStr(token).split(".");
+  const exp = Number(expStr);
+  if (!expStr || !sig || !Number.isFinite(exp)) return { ok: false, reason: "token_missing" };
+  if (Date.now() > exp) return { ok: false, reason: "token_expired" };
+  if (!safeEqual(sig, signStreamPayload(callSid, exp))) {
+    return { ok: false, reason: "token_mismatch" };
+  }
+  return { ok: true, reason: "valid" };
+}
+
+module.exports = {
+  computeTwilioSignature,
+  validateTwilioRequest,
+  validateTwilioUpgrade,
+  requireTwilioSignature,
+  createStreamToken,
+  verifyStreamToken,
+};
@@ -0,0 +1,89 @@
+"use strict";
+
+// Small TwiML string builders shared by the voice webhook, live transfer and
+// overflow handling.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const DEFAULT_UNAVAILABLE_SAY =
+  "שלום, המערכת אינה זמינה כרגע. נא לנסות שוב מאוחר יותר. תודה.";
+
+function escapeXml(s) {
+  return String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function response(...verbs) {
+  return `${XML_HEADER}<Response>${verbs.filter(Boolean).join("")}</Response>`;
+}
+
+function say(text, language = "he-IL") {
+  return `<Say language="${escapeXml(language)}">${escapeXml(text)}</Say>`;
+}
+
+// Phone number or sip: URI.
+function dial(target) {
+  const to = String(target || "").trim();
+  const noun = /^sip:/i.test(to)
+    ? `<Sip>${escapeXml(to)}</Sip>`
+    : `<Number>${escapeXml(to)}</Number>`;
+  return `<Dial>${noun}</Dial>`;
+}
+
+function record({ maxLengthSec = 120, recordingStatusCallback } = {}) {
+  const attrs = [`maxLength="${Number(maxLengthSec) || 120}"`, 'playBeep="true"'];
+  if (recordingStatusCallback) {
+    attrs.push(
+      `recordingStatusCallback="${escapeXml(recordingStatusCallback)}"`,
+      'recordingStatusCallbackMethod="POST"',
+      'recordingStatusCallbackEvent="completed"'
+    );
+  }
+  return `<Record ${attrs.join(" ")}/>`;
+}
+
+// Dual-channel call recording started from TwiML.
+function startRecording({ recordingStatusCallback } = {}) {
+  return (
+    "<Start>" +
+    `<Recording recordingStatusCallback="${escapeXml(recordingStatusCallback)}"` +
+    ' recordingStatusCallbackMethod="POST" recordingStatusCallbackEvent="completed"' +
+    ' recordingChannels="dual"/>' +
+    "</Start>"
+  );
+}
+
+// Bidirectional media stream; `params` become <Parameter> elements.
+function connectStream({ url, statusCallback, params = {} } = {}) {
+  const attrs = [`url="${escapeXml(url)}"`];
+  if (statusCallback) {
+    attrs.push(`statusCallback="${escapeXml(statusCallback)}"`, 'statusCallbackMethod="POST"');
+  }
+  const parameters = Object.entries(params)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join("");
+  return `<Connect><Stream ${attrs.join(" ")}>${parameters}</Stream></Connect>`;
+}
+
+// "Service unavailable" message, then hang up. SSOT SETTINGS
+// TWIML_FALLBACK_SAY / TWIML_SAY_LANGUAGE override the text and voice language.
+function unavailable(settings) {
+  const text = String(settings?.TWIML_FALLBACK_SAY || "").trim() || DEFAULT_UNAVAILABLE_SAY;
+  const language = String(settings?.TWIML_SAY_LANGUAGE || "").trim() || "he-IL";
+  return response(say(text, language), "<Hangup/>");
+}
+
+module.exports = {
+  escapeXml,
+  unavailable,
+  response,
+  say,
+  dial,
+  record,
+  startRecording,
+  connectStream,
+};
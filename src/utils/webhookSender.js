@@ -0,0 +1,47 @@
+"use strict";
+
+const { logger } = require("./logger");
+const { trackPending } = require("./shutdown");
+
+// Tracked so a graceful shutdown waits for in-flight deliveries.
+function deliverWebhook(url, payload, label) {
+  if (!url) return Promise.resolve();
+  return trackPending(postWebhook(url, payload, label));
+}
+
+async function postWebhook(url, payload, label) {
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    logger.info("Webhook delivered", { label, status: resp.status });
+  } catch (e) {
+    logger.warn("Webhook delivery failed", { label, error: String(e) });
+  }
+}
+
+// finalizePipeline senders bound to one tenant's webhook URLs.
+function buildWebhookSenders(tenant) {
+  const t = tenant || {};
+  return {
+    sendCallLog: (payload) =>
+      deliverWebhook(t.call_log_webhook_url, payload, "CALL_LOG"),
+    sendFinal: (payload) =>
+      deliverWebhook(t.final_webhook_url, payload, "FINAL"),
+    sendAbandoned: (payload) =>
+      deliverWebhook(t.abandoned_webhook_url, payload, "ABANDONED"),
+    // A transferred call is a lead a person is now handling.
+    sendTransferred: (payload) =>
+      deliverWebhook(t.transferred_webhook_url || t.final_webhook_url, payload, "TRANSFERRED"),
+    // Overflow voicemail is a message to act on, like a FINAL lead.
+    sendVoicemail: (payload) =>
+      deliverWebhook(t.final_webhook_url, payload, "OVERFLOW_VOICEMAIL"),
+  };
+}
+
+module.exports = {
+  deliverWebhook,
+  buildWebhookSenders,
+};
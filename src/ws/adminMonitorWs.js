@@ -0,0 +1,109 @@
+// src/ws/adminMonitorWs.js
+"use strict";
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const { logger } = require("../utils/logger");
+const { getActiveCall } = require("../utils/activeCalls");
+const { addMonitor } = require("../utils/callMonitor");
+
+// Supervisor live monitor: wss://<host>/admin/monitor/<CallSid>
+// Auth: x-admin-token header (must match TWILIO_AUTH_TOKEN env), or for
+// browsers, which cannot set WS headers, ?token=<monitor token> from
+// POST /admin/calls/:callSid/monitor-token. That token is signed, bound to the
+// one call and short-lived, so the account secret never goes into a URL.
+//
+// Server -> client JSON messages:
+//   { event: "start", call }                             snapshot as in GET /admin/calls/:callSid
+//   { event: "utterance", role, text, ts, turn_id? }     caller / bot lines as they are logged
+//   { event: "media", track: "caller"|"bot", format, payload }   base64 μ-law 8k, 20ms-ish chunks
+//   { event: "clear" }                                   bot audio flushed (barge-in)
+//   { event: "end", callSid }
+
+const PATH_RE = /^\/admin\/monitor\/([A-Za-z0-9]+)\/?$/;
+const MONITOR_TOKEN_TTL_MS = 60 * 1000;
+
+function authToken() {
+  return String(process.env.TWILIO_AUTH_TOKEN || "").trim();
+}
+
+function signMonitorPayload(callSid, exp) {
+  return crypto
+    .createHmac("sha256", authToken())
+    .update(`monitor.${callSid}.${exp}`)
+    .digest("base64url");
+}
+
+// Returns { token, expires_at } or null when no secret is configured.
+function createMonitorToken(callSid) {
+  if (!authToken() || !callSid) return null;
+  const exp = Date.now() + MONITOR_TOKEN_TTL_MS;
+  return {
+    token: `${exp}.${signMonitorPayload(callSid, exp)}`,
+    expires_at: new Date(exp).toISOString(),
+  };
+}
+
+function verifyMonitorToken(token, callSid) {
+  const [expStr, sig] = String(token || "").split(".");
+  const exp = Number(expStr);
+  if (!authToken() || !sig || !Number.isFinite(exp) || Date.now() > exp) return false;
+  const a = Buffer.from(sig);
+  const b = Buffer.from(signMonitorPayload(callSid, exp));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function rejectUpgrade(socket, status) {
+  try {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  } catch {}
+  socket.destroy();
+}
+
+function isAuthorized(req, url, callSid) {
+  const expectedToken = authToken();
+  const adminToken = String(req.headers["x-admin-token"] || "").trim();
+  if (expectedToken && adminToken === expectedToken) return true;
+  return verifyMonitorToken(url.searchParams.get("token"), callSid);
+}
+
+function installAdminMonitorWs(server) {
+  const wss = new WebSocket.Server({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    if (!req.url || !req.url.startsWith("/admin/monitor/")) return;
+
+    const url = new URL(req.url, "http://localhost");
+    const m = PATH_RE.exec(url.pathname);
+    if (!m) return rejectUpgrade(socket, "404 Not Found");
+
+    if (!isAuthorized(req, url, m[1])) {
+      logger.warn("Supervisor monitor rejected", {
+        reason: "unauthorized",
+        ip: req.socket?.remoteAddress || null,
+      });
+      return rejectUpgrade(socket, "401 Unauthorized");
+    }
+
+    const callSid = m[1];
+    const call = getActiveCall(callSid);
+    if (!call) return rejectUpgrade(socket, "404 Not Found");
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      addMonitor(callSid, ws);
+      logger.info("Supervisor monitor attached", {
+        callSid,
+        ip: req.socket?.remoteAddress || null,
+      });
+      try {
+        ws.send(JSON.stringify({ event: "start", call }));
+      } catch {}
+      ws.on("close", () => logger.info("Supervisor monitor detached", { callSid }));
+      ws.on("error", () => {});
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { installAdminMonitorWs, createMonitorToken };
@@ -4,18 +4,96 @@
 const WebSocket = require("ws");
 const { logger } = require("../utils/logger");
 const { env } = require("../config/env");
-const { GeminiLiveSession } = require("../vendor/geminiLiveSession");
-const { startCallRecording } = require("../utils/twilioRecordings");
+const { createVoiceSession } = require("../vendor/voiceProvider");
+const {
+  startCallRecording,
+  redirectCall,
+  hangupCall,
+} = require("../utils/twilioRecordings");
 const { setRecordingForCall } = require("../utils/recordingRegistry");
-const { getSSOT } = require("../ssot/ssotClient");
+const { getSSOT, loadSSOT, isSSOTFresh } = require("../ssot/ssotClient");
+const { resolveTenant } = require("../config/tenants");
+const { buildWebhookSenders } = require("../utils/webhookSender");
+const {
+  tryAdmit,
+  overflowPolicy,
+  buildOverflowTwiml,
+  getOverflowAudio,
+} = require("../utils/callAdmission");
+const { registerCall, unregisterCall } = require("../utils/activeCalls");
+const { publish, publishAudio } = require("../utils/callMonitor");
+const { clipFramesB64 } = require("../utils/audioClips");
+const { createMediaPacer } = require("../utils/mediaPacer");
+const { carrierFormats, encodeUlaw8kClip } = require("../vendor/twilioGeminiAudio");
+const { isDraining, trackPending } = require("../utils/shutdown");
+const {
+  validateTwilioUpgrade,
+  verifyStreamToken,
+} = require("../utils/twilioSignature");
 
 const { getCallerProfile } = require("../memory/callerMemory");
 
+// Only a tenant whose SSOT was never loaded makes the call wait, and at most
+// SSOT_FIRST_LOAD_TIMEOUT_MS: a hung Sheets request must not leave the caller
+// in silence. A stale one is refreshed in the background and the call proceeds
+// with what we have.
+async function ssotForTenant(tenant) {
+  if (!isSSOTFresh(tenant.id)) {
+    const pending = loadSSOT(false, tenant).catch((e) => {
+      logger.warn("SSOT load for tenant failed", {
+        tenant: tenant.id,
+        error: e?.message || String(e),
+      });
+    });
+    if (!getSSOT(tenant.id).loaded_at) {
+      const waitMs = Math.max(0, env.SSOT_FIRST_LOAD_TIMEOUT_MS || 0);
+      let timer;
+      const timedOut = await Promise.race([
+        pending.then(() => false),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(true), waitMs);
+        }),
+      ]);
+      clearTimeout(timer);
+      if (timedOut) {
+        logger.warn("SSOT load slow; starting call on defaults", {
+          tenant: tenant.id,
+          waited_ms: waitMs,
+        });
+      }
+    }
+  }
+  return getSSOT(tenant.id); // if empty do not break voice
+}
+
 function installTwilioMediaWs(server) {
   const wss = new WebSocket.Server({ noServer: true });
 
   server.on("upgrade", (req, socket, head) => {
     if (!req.url || !req.url.startsWith("/twilio-media-stream")) return;
+
+    if (isDraining()) {
+      logger.warn("Twilio media WS upgrade refused: draining");
+      try {
+        socket.write("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+      } catch {}
+      socket.destroy();
+      return;
+    }
+
+    const check = validateTwilioUpgrade(req);
+    if (!check.ok) {
+      logger.warn("Twilio media WS upgrade rejected", {
+        reason: check.reason,
+        ip: req.socket?.remoteAddress || null,
+      });
+      try {
+        socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+      } catch {}
+      socket.destroy();
+      return;
+    }
+
     wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
   });
 
@@ -28,19 +106,121 @@ function installTwilioMediaWs(server) {
     let gemini = null;
 
     let stopped = false;
+    let releaseAdmission = () => {};
+    let overflowHangupTimer = null;
+    const formats = carrierFormats();
 
-    function sendToTwilioMedia(ulaw8kB64) {
+    function sendMediaFrame(b64) {
       if (!streamSid) return;
-      const payload = {
-        event: "media",
-        streamSid,
-        media: { payload: ulaw8kB64 },
-      };
       try {
-        twilioWs.send(JSON.stringify(payload));
+        twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload: b64 } }));
+        publishAudio(callSid, "bot", b64, formats.out.mime);
+      } catch {}
+    }
+
+    function sendMark(name) {
+      if (!streamSid) return;
+      try {
+        twilioWs.send(JSON.stringify({ event: "mark", streamSid, mark: { name } }));
+      } catch {}
+    }
+
+    // Bot audio goes out in 20ms frames on a steady clock, only
+    // MB_OUTBOUND_JITTER_MS ahead of real time, so a barge-in clear drops
+    // what is still queued here instead of seconds buffered at Twilio.
+    const pacer = env.MB_OUTBOUND_PACER_ENABLED
+      ? createMediaPacer({
+          frameBytes: formats.out.bytesPerMs * 20,
+          jitterMs: env.MB_OUTBOUND_JITTER_MS,
+          sendFrame: sendMediaFrame,
+          sendMark,
+          onTurnStart: (turnId, at) => gemini?.noteBotAudioStarted?.(turnId, at),
+        })
+      : null;
+
+    // Each chunk is followed by a mark "bot:<turnId>:<turnMs>". Twilio echoes
+    // it once the audio before it has been played, which is how we know how
+    // much of a bot turn the caller actually heard.
+    function sendToTwilioMedia(ulaw8kB64, playback) {
+      if (!streamSid) return;
+      if (pacer) return pacer.enqueue(ulaw8kB64, playback);
+      sendMediaFrame(ulaw8kB64);
+      if (playback?.turnId) sendMark(`bot:${playback.turnId}:${playback.turnMs}`);
+    }
+
+    let pacerStopped = false;
+    function stopPacer() {
+      if (!pacer || pacerStopped) return;
+      pacerStopped = true;
+      const stats = pacer.stats();
+      pacer.stop();
+      if (stats.frames_sent) logger.info("Outbound pacer stats", { streamSid, callSid, ...stats });
+    }
+
+    function onTwilioMark(name) {
+      if (name === "overflow_done") return hangupOverflowCall("mark");
+      const m = /^bot:(\d+):(\d+)$/.exec(String(name || ""));
+      if (m && gemini) gemini.notePlaybackMark(Number(m[1]), Number(m[2]));
+    }
+
+    // Barge-in: tell Twilio to drop any audio it buffered but has not played yet.
+    function clearTwilioMedia() {
+      if (!streamSid) return;
+      const droppedMs = pacer ? pacer.clear() : null;
+      try {
+        twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+        publish(callSid, { event: "clear" });
+        logger.info("Twilio media cleared (barge-in)", {
+          streamSid,
+          callSid,
+          dropped_queued_ms: droppedMs,
+        });
       } catch {}
     }
 
+    function hangupOverflowCall(trigger) {
+      if (overflowHangupTimer) clearTimeout(overflowHangupTimer);
+      overflowHangupTimer = null;
+      if (!callSid) return;
+      logger.info("Overflow apology played; hanging up", { callSid, trigger });
+      hangupCall(callSid, logger).catch(() => {});
+    }
+
+    // The call stays on the stream only to hear the apology clip; no live session.
+    function playOverflowAudio(ulaw) {
+      const audio = encodeUlaw8kClip(ulaw, formats.out);
+      for (const frame of clipFramesB64(audio, formats.out.bytesPerMs * 20)) {
+        sendToTwilioMedia(frame);
+      }
+      if (pacer) pacer.mark("overflow_done");
+      else sendMark("overflow_done");
+      // In case the mark echo never arrives.
+      const clipMs = Math.ceil(audio.length / formats.out.bytesPerMs);
+      overflowHangupTimer = setTimeout(() => hangupOverflowCall("timer"), clipMs + 2000);
+    }
+
+    function handleOverflow(tenant, reason) {
+      const policy = overflowPolicy(tenant, getSSOT(tenant.id)?.settings);
+      const audio = policy.mode === "apology" ? getOverflowAudio() : null;
+
+      logger.warn("Twilio media stream over capacity", {
+        streamSid,
+        callSid,
+        tenant: tenant.id,
+        reason,
+        mode: policy.mode,
+        prerecorded: !!audio,
+      });
+
+      if (audio) return playOverflowAudio(audio);
+      if (!callSid) return;
+      const twimlDoc = buildOverflowTwiml(policy, {
+        tenantId: tenant.id,
+        caller: customParameters?.caller,
+      });
+      redirectCall(callSid, twimlDoc, logger).catch(() => {});
+    }
+
     // NOTE: must be async because we may await caller-memory lookups (Postgres).
     twilioWs.on("message", async (data) => {
       let msg;
@@ -56,7 +236,36 @@ function installTwilioMediaWs(server) {
         streamSid = msg?.start?.streamSid || null;
         callSid = msg?.start?.callSid || null;
         customParameters = msg?.start?.customParameters || {};
-        logger.info("Twilio stream start", { streamSid, callSid, customParameters });
+        logger.info("Twilio stream start", {
+          streamSid,
+          callSid,
+          customParameters: { ...customParameters, token: undefined },
+          media_format: msg?.start?.mediaFormat || null,
+        });
+
+        const tokenCheck = verifyStreamToken(customParameters?.token, callSid);
+        if (!tokenCheck.ok) {
+          logger.warn("Twilio media stream rejected", {
+            streamSid,
+            callSid,
+            reason: tokenCheck.reason,
+          });
+          stopped = true;
+          try {
+            twilioWs.close(1008, "unauthorized");
+          } catch {}
+          return;
+        }
+
+        const tenant = resolveTenant(customParameters?.called);
+
+        const admission = tryAdmit(tenant);
+        if (!admission.ok) {
+          stopped = true;
+          handleOverflow(tenant, admission.reason);
+          return;
+        }
+        releaseAdmission = admission.release;
 
         // Start Twilio call recording early so a RecordingSid exists by the time we finalize.
         // Canonical spec: if Twilio returns a sid, store it immediately in Registry by CallSid.
@@ -82,7 +291,7 @@ function installTwilioMediaWs(server) {
             });
         }
 
-        const ssot = getSSOT(); // already loaded; if empty do not break voice
+        const ssot = await ssotForTenant(tenant);
 
         const meta = {
           streamSid,
@@ -90,8 +299,20 @@ function installTwilioMediaWs(server) {
           caller: customParameters?.caller,
           called: customParameters?.called,
           source: customParameters?.source,
+          tenant: tenant.id,
         };
 
+        if (meta.source === "outbound") {
+          meta.purpose = customParameters?.purpose || "";
+          try {
+            meta.outbound_context = customParameters?.context
+              ? JSON.parse(customParameters.context)
+              : null;
+          } catch {
+            meta.outbound_context = null;
+          }
+        }
+
         // Best-effort caller recognition. No impact on lead parsing.
         try {
           const prof = await getCallerProfile(meta.caller);
@@ -100,32 +321,71 @@ function installTwilioMediaWs(server) {
           // swallow
         }
 
-        gemini = new GeminiLiveSession({
+        // The stream may have ended while we were loading: stop/close set
+        // `stopped` even without a session. Don't start one for a dead call.
+        if (stopped) {
+          logger.info("Twilio stream ended before session start", { streamSid, callSid });
+          releaseAdmission();
+          return;
+        }
+
+        gemini = createVoiceSession({
           meta,
           ssot,
-          onGeminiAudioUlaw8kBase64: (ulawB64) => sendToTwilioMedia(ulawB64),
-          onGeminiText: (t) => logger.debug("Gemini text", { streamSid, callSid, t }),
+          tenant,
+          senders: buildWebhookSenders(tenant),
+          onAudio: (ulawB64, playback) => sendToTwilioMedia(ulawB64, playback),
+          onText: (t) => logger.debug("Gemini text", { streamSid, callSid, t }),
+          onInterrupted: () => clearTwilioMedia(),
+          onToolEvent: (e) =>
+            publish(callSid, {
+              event: "tool",
+              name: e?.name,
+              args: e?.args || {},
+              response: e?.response || null,
+            }),
           onTranscript: ({ who, text }) => {
             logger.info(`TRANSCRIPT ${who}`, { streamSid, callSid, text });
           },
         });
 
+        if (pacer) gemini.setOutboundQueue?.(pacer);
+        registerCall(callSid, gemini);
         gemini.start();
         return;
       }
 
       if (ev === "media") {
         const b64 = msg?.media?.payload;
-        if (b64 && gemini) gemini.sendUlaw8kFromTwilio(b64);
+        if (b64 && gemini) {
+          gemini.sendUlaw8kFromTwilio(b64);
+          publishAudio(callSid, "caller", b64, formats.in.mime);
+        }
+        return;
+      }
+
+      if (ev === "dtmf") {
+        const digit = msg?.dtmf?.digit;
+        if (digit && gemini) gemini.handleDtmf(String(digit));
+        return;
+      }
+
+      if (ev === "mark") {
+        onTwilioMark(msg?.mark?.name);
         return;
       }
 
       if (ev === "stop") {
         logger.info("Twilio stream stop", { streamSid, callSid });
-        if (!stopped && gemini) {
+        stopPacer();
+        releaseAdmission();
+        unregisterCall(callSid);
+        if (!stopped) {
           stopped = true;
-          gemini.endInput();
-          gemini.stop();
+          if (gemini) {
+            gemini.endInput();
+            trackPending(gemini.stop());
+          }
         }
         return;
       }
@@ -137,17 +397,24 @@ function installTwilioMediaWs(server) {
 
     twilioWs.on("close", () => {
       logger.info("Twilio media WS closed", { streamSid, callSid });
-      if (!stopped && gemini) {
+      stopPacer();
+      releaseAdmission();
+      if (overflowHangupTimer) clearTimeout(overflowHangupTimer);
+      unregisterCall(callSid);
+      if (!stopped) {
         stopped = true;
-        gemini.stop();
+        if (gemini) trackPending(gemini.stop());
       }
     });
 
     twilioWs.on("error", (err) => {
       logger.error("Twilio media WS error", { streamSid, callSid, error: err.message });
-      if (!stopped && gemini) {
+      stopPacer();
+      releaseAdmission();
+      unregisterCall(callSid);
+      if (!stopped) {
         stopped = true;
-        gemini.stop();
+        if (gemini) trackPending(gemini.stop());
       }
     });
   });
@@ -0,0 +1,76 @@
+"use strict";
+
+// Webhook routing at finalize: the event decided for the call picks the
+// tenant URL it is posted to. fetch is replaced to capture deliveries.
+process.env.DATABASE_URL = "";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { finalizePipeline } = require("../src/stage4/finalizePipeline");
+const { buildWebhookSenders } = require("../src/utils/webhookSender");
+const { env } = require("../src/config/env");
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+
+function transferredSnapshot() {
+  return {
+    call: {
+      callSid: "CAtransfer",
+      caller: "+972501234567",
+      finalize_reason: "stop_called",
+      transfer: { status: "redirected", reason: "caller_asked" },
+    },
+    conversationLog: [
+      { role: "assistant", text: "שלום, במה אפשר לעזור?", playback: "played" },
+      { role: "user", text: "אני רוצה לדבר עם נציג" },
+    ],
+  };
+}
+
+async function runWith(tenant) {
+  const posted = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    posted.push({ url, body: JSON.parse(init.body) });
+    return { status: 200 };
+  };
+  try {
+    await finalizePipeline({
+      snapshot: transferredSnapshot(),
+      ssot: { settings: {} },
+      env: {
+        ...env,
+        LEAD_PARSER_ENABLED: false,
+        MB_ENABLE_RECORDING: false,
+        CALL_LOG_AT_END: false,
+        FINAL_WEBHOOK_URL: tenant.final_webhook_url,
+        TRANSFERRED_WEBHOOK_URL: tenant.transferred_webhook_url,
+      },
+      logger: quiet,
+      senders: buildWebhookSenders(tenant),
+    });
+  } finally {
+    global.fetch = realFetch;
+  }
+  return posted;
+}
+
+test("a redirected call is posted to the FINAL webhook as TRANSFERRED", async () => {
+  const posted = await runWith({ final_webhook_url: "https://crm.example/final" });
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].url, "https://crm.example/final");
+  assert.equal(posted[0].body.event, "TRANSFERRED");
+  assert.equal(posted[0].body.call_status, "transferred");
+  assert.equal(posted[0].body.call.callSid, "CAtransfer");
+});
+
+test("a tenant transferred URL takes precedence over FINAL", async () => {
+  const posted = await runWith({
+    final_webhook_url: "https://crm.example/final",
+    transferred_webhook_url: "https://crm.example/transferred",
+  });
+  assert.deepEqual(
+    posted.map((p) => p.url),
+    ["https://crm.example/transferred"]
+  );
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+// Gemini endpoints in API-key and Vertex mode. The service account is a
+// throwaway key; google.auth.JWT's token fetch is replaced so nothing leaves
+// the process.
+
+const crypto = require("crypto");
+
+const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+process.env.GOOGLE_SERVICE_ACCOUNT_JSON_B64 = Buffer.from(
+  JSON.stringify({
+    client_email: "voicebot@test-project.iam.gserviceaccount.com",
+    private_key: privateKey.export({ type: "pkcs8", format: "pem" }),
+  })
+).toString("base64");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { google } = require("googleapis");
+const { env } = require("../src/config/env");
+const {
+  liveModelName,
+  liveWsUrl,
+  vertexLiveWsTarget,
+  generateContentTarget,
+} = require("../src/utils/geminiEndpoints");
+const { CLOUD_PLATFORM_SCOPE } = require("../src/utils/googleAuth");
+
+const tokenRequests = [];
+google.auth.JWT.prototype.getAccessToken = async function () {
+  tokenRequests.push({ client: this, email: this.email, scopes: this.scopes });
+  return { token: "vertex-token" };
+};
+
+function withEnv(overrides, fn) {
+  const saved = {};
+  for (const k of Object.keys(overrides)) saved[k] = env[k];
+  Object.assign(env, overrides);
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => Object.assign(env, saved));
+}
+
+const VERTEX = {
+  GEMINI_VERTEX_ENABLED: true,
+  GEMINI_PROJECT_ID: "test-project",
+  GEMINI_LOCATION: "europe-west4",
+  GEMINI_VERTEX_BASE_URL: "",
+};
+
+test("API key mode: Live URL and model name", () =>
+  withEnv({ GEMINI_VERTEX_ENABLED: false, GEMINI_API_KEY: "k&1" }, () => {
+    assert.equal(
+      liveWsUrl(),
+      "wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent?key=k%261"
+    );
+    assert.equal(liveModelName("gemini-live"), "models/gemini-live");
+  }));
+
+test("Vertex mode: regional endpoint with a service-account bearer token", () =>
+  withEnv(VERTEX, async () => {
+    tokenRequests.length = 0;
+
+    const live = await vertexLiveWsTarget();
+    assert.equal(
+      live.url,
+      "wss://europe-west4-aiplatform.googleapis.com/ws/google.cloud.aiplatform.v1beta1.LlmBidiService/BidiGenerateContent"
+    );
+    assert.deepEqual(live.headers, { Authorization: "Bearer vertex-token" });
+    assert.equal(
+      liveModelName("models/gemini-live"),
+      "projects/test-project/locations/europe-west4/publishers/google/models/gemini-live"
+    );
+
+    const gen = await generateContentTarget("gemini-flash");
+    assert.equal(
+      gen.url,
+      "https://europe-west4-aiplatform.googleapis.com/v1/projects/test-project/locations/europe-west4/publishers/google/models/gemini-flash:generateContent"
+    );
+    assert.deepEqual(gen.headers, { Authorization: "Bearer vertex-token" });
+
+    // One JWT client for the scope, reused so the library's token cache applies.
+    assert.equal(tokenRequests.length, 2);
+    assert.equal(tokenRequests[0].client, tokenRequests[1].client);
+    assert.equal(tokenRequests[0].email, "voicebot@test-project.iam.gserviceaccount.com");
+    assert.deepEqual(tokenRequests[0].scopes, [CLOUD_PLATFORM_SCOPE]);
+  }));
+
+test("GEMINI_VERTEX_BASE_URL replaces the regional host", () =>
+  withEnv({ ...VERTEX, GEMINI_VERTEX_BASE_URL: "http://127.0.0.1:8089/" }, async () => {
+    const live = await vertexLiveWsTarget();
+    assert.equal(
+      live.url,
+      "ws://127.0.0.1:8089/ws/google.cloud.aiplatform.v1beta1.LlmBidiService/BidiGenerateContent"
+    );
+
+    const gen = await generateContentTarget("gemini-flash");
+    assert.equal(
+      gen.url,
+      "http://127.0.0.1:8089/v1/projects/test-project/locations/europe-west4/publishers/google/models/gemini-flash:generateContent"
+    );
+  }));
+
+test("Vertex mode without a project fails before asking for a token", () =>
+  withEnv({ ...VERTEX, GEMINI_PROJECT_ID: "" }, async () => {
+    tokenRequests.length = 0;
+    await assert.rejects(vertexLiveWsTarget(), /GEMINI_PROJECT_ID/);
+    assert.equal(tokenRequests.length, 0);
+  }));
@@ -0,0 +1,63 @@
+"use strict";
+
+// Local VAD on synthetic caller audio: a quiet lead-in sets the noise floor,
+// then either loud hiss or a voiced signal follows.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCallerAudioGate } = require("../src/logic/localVad");
+const { createInboundConverter } = require("../src/vendor/twilioGeminiAudio");
+const { parseAudioFormat, encodeSamples } = require("../src/utils/audioCodecs");
+
+const PCM16K = parseAudioFormat("pcm16k");
+const ULAW8K = parseAudioFormat("ulaw8k");
+
+function frames(rate, count, sample) {
+  const n = rate / 50;
+  const out = [];
+  let t = 0;
+  for (let f = 0; f < count; f++) {
+    const s = new Int16Array(n);
+    for (let i = 0; i < n; i++) s[i] = Math.round(sample(t++ / rate));
+    out.push(s);
+  }
+  return out;
+}
+
+const quiet = (rate) => frames(rate, 50, () => (Math.random() * 2 - 1) * 40);
+const hiss = (rate) => frames(rate, 50, () => (Math.random() * 2 - 1) * 12000);
+const voiced = (rate) =>
+  frames(rate, 50, (t) =>
+    [150, 300, 450, 600].reduce((acc, hz, k) => acc + (6000 / (k + 1)) * Math.sin(2 * Math.PI * hz * t), 0)
+  );
+
+function run(pcm16kFrames) {
+  const gate = createCallerAudioGate({ mode: "gate", threshold: 0.65, hangoverMs: 400, prerollMs: 200 });
+  let now = 0;
+  for (const s of pcm16kFrames) gate.push(encodeSamples(s, PCM16K).toString("base64"), (now += 20));
+  return gate.stats();
+}
+
+// Caller audio as it arrives in a call: μ-law 8k through the inbound converter.
+function fromCarrier(ulaw8kFrames) {
+  const conv = createInboundConverter(ULAW8K);
+  return ulaw8kFrames.map((s) => {
+    const b64 = conv.convert(encodeSamples(s, ULAW8K).toString("base64"));
+    return new Int16Array(new Uint8Array(Buffer.from(b64, "base64")).buffer);
+  });
+}
+
+test("loud white noise is not speech", () => {
+  const stats = run([...quiet(16000), ...hiss(16000)]);
+  assert.equal(stats.speech_segments, 0);
+});
+
+test("loud line noise from the carrier is not speech", () => {
+  const stats = run(fromCarrier([...quiet(8000), ...hiss(8000)]));
+  assert.equal(stats.speech_segments, 0);
+});
+
+test("a voiced signal is speech", () => {
+  assert.equal(run([...quiet(16000), ...voiced(16000)]).speech_segments, 1);
+  assert.equal(run(fromCarrier([...quiet(8000), ...voiced(8000)])).speech_segments, 1);
+});
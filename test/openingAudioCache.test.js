@@ -0,0 +1,60 @@
+"use strict";
+
+// Opening audio cache limits: MB_OPENING_AUDIO_CACHE_MAX clips per tenant, in
+// memory and on disk, in a throwaway cache directory.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "opening-audio-"));
+process.env.MB_OPENING_AUDIO_CACHE_DIR = DIR;
+process.env.MB_OPENING_AUDIO_CACHE_MAX = "2";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getOpeningAudio, putOpeningAudio } = require("../src/utils/openingAudioCache");
+
+const FP = "fingerprint1";
+
+function clip(n) {
+  return Buffer.alloc(480, n);
+}
+
+async function pcmFilesIn(scope, count) {
+  const dir = path.join(DIR, scope);
+  for (let i = 0; i < 50; i++) {
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".pcm")) : [];
+    if (files.length === count) return files;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  return fs.readdirSync(dir).filter((f) => f.endsWith(".pcm"));
+}
+
+test.after(() => fs.rmSync(DIR, { recursive: true, force: true }));
+
+test("a busy tenant does not evict another tenant's openings", async () => {
+  putOpeningAudio("quiet", FP, "morning", clip(1));
+  for (const [i, variant] of ["v1", "v2", "v3", "v4"].entries()) {
+    putOpeningAudio("busy", FP, variant, clip(10 + i));
+  }
+
+  assert.deepEqual(getOpeningAudio("quiet", FP, "morning"), clip(1));
+
+  // The busy tenant keeps its newest MAX clips.
+  assert.equal(getOpeningAudio("busy", FP, "v1"), null);
+  assert.equal(getOpeningAudio("busy", FP, "v2"), null);
+  assert.deepEqual(getOpeningAudio("busy", FP, "v3"), clip(12));
+  assert.deepEqual(getOpeningAudio("busy", FP, "v4"), clip(13));
+
+  assert.equal((await pcmFilesIn("busy", 2)).length, 2);
+  assert.equal((await pcmFilesIn("quiet", 1)).length, 1);
+});
+
+test("a new fingerprint drops only that tenant's clips", async () => {
+  putOpeningAudio("other", FP, "evening", clip(2));
+  assert.equal(getOpeningAudio("quiet", "fingerprint2", "morning"), null);
+
+  assert.deepEqual(getOpeningAudio("other", FP, "evening"), clip(2));
+  assert.equal((await pcmFilesIn("quiet", 0)).length, 0);
+});
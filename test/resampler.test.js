@@ -0,0 +1,93 @@
+"use strict";
+
+// Resampler frequency response and streaming: tones are pushed through and
+// measured at the output rate, skipping the filter's warm-up.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createResampler } = require("../src/vendor/twilioGeminiAudio");
+
+const AMPLITUDE = 10000;
+
+function tone(rate, hz, ms) {
+  const n = Math.round((rate * ms) / 1000);
+  const out = new Int16Array(n);
+  for (let i = 0; i < n; i++) out[i] = Math.round(AMPLITUDE * Math.sin((2 * Math.PI * hz * i) / rate));
+  return out;
+}
+
+// Amplitude of the `hz` component (single DFT bin), past the first `skipMs`.
+function amplitudeAt(samples, rate, hz, skipMs = 20) {
+  const start = Math.round((rate * skipMs) / 1000);
+  let re = 0;
+  let im = 0;
+  for (let i = start; i < samples.length; i++) {
+    const w = (2 * Math.PI * hz * i) / rate;
+    re += samples[i] * Math.cos(w);
+    im += samples[i] * Math.sin(w);
+  }
+  return (2 * Math.hypot(re, im)) / (samples.length - start);
+}
+
+function gainDb(samples, rate, hz) {
+  return 20 * Math.log10(amplitudeAt(samples, rate, hz) / AMPLITUDE);
+}
+
+function chunked(resampler, input, frameSamples) {
+  const parts = [];
+  for (let i = 0; i < input.length; i += frameSamples) {
+    parts.push(resampler.resample(input.subarray(i, i + frameSamples)));
+  }
+  const out = new Int16Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
+
+test("8k -> 16k: passband is flat, the image above 4 kHz is suppressed", () => {
+  for (const hz of [300, 1000, 3000]) {
+    const out = createResampler(8000, 16000).resample(tone(8000, hz, 200));
+    assert.equal(out.length, 3200);
+    assert.ok(Math.abs(gainDb(out, 16000, hz)) < 0.5, `${hz} Hz gain ${gainDb(out, 16000, hz)} dB`);
+  }
+
+  // A 1 kHz tone upsampled by 2 leaves an image at 7 kHz.
+  const out = createResampler(8000, 16000).resample(tone(8000, 1000, 200));
+  assert.ok(gainDb(out, 16000, 7000) < -50, `image ${gainDb(out, 16000, 7000)} dB`);
+});
+
+test("24k -> 8k: passband is flat, content above 4 kHz does not alias", () => {
+  for (const hz of [300, 1000, 3000]) {
+    const out = createResampler(24000, 8000).resample(tone(24000, hz, 200));
+    assert.equal(out.length, 1600);
+    assert.ok(Math.abs(gainDb(out, 8000, hz)) < 0.5, `${hz} Hz gain ${gainDb(out, 8000, hz)} dB`);
+  }
+
+  // 6 kHz at 24k folds to 2 kHz at 8k if the anti-alias filter lets it through.
+  const out = createResampler(24000, 8000).resample(tone(24000, 6000, 200));
+  assert.ok(gainDb(out, 8000, 2000) < -50, `alias ${gainDb(out, 8000, 2000)} dB`);
+});
+
+test("20 ms chunks give the same output as one call", () => {
+  for (const [inRate, outRate] of [
+    [8000, 16000],
+    [24000, 8000],
+    [24000, 16000],
+  ]) {
+    const input = tone(inRate, 440, 500);
+    const whole = createResampler(inRate, outRate).resample(input);
+    const parts = chunked(createResampler(inRate, outRate), input, inRate / 50);
+    assert.deepEqual(parts, whole, `${inRate} -> ${outRate}`);
+  }
+});
+
+test("reset() drops the previous signal", () => {
+  const r = createResampler(24000, 8000);
+  r.resample(tone(24000, 1000, 100));
+  r.reset();
+  const silence = r.resample(new Int16Array(480));
+  assert.ok(silence.every((s) => s === 0));
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+// Full session flow against the scripted provider: start -> caller media ->
+// stop -> finalize, with no network. The env is read once on require, so it is
+// set before the session modules load.
+process.env.LEAD_PARSER_ENABLED = "false";
+process.env.MB_LOG_TRANSCRIPTS = "true";
+process.env.MB_ENABLE_RECORDING = "false";
+process.env.DATABASE_URL = "";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ScriptedLiveSession,
+  SPEECH_PITCH_HZ,
+  speechMs,
+} = require("../src/vendor/scriptedLiveSession");
+const { parseAudioFormat, decodeSamples } = require("../src/utils/audioCodecs");
+
+const CALLER = "+972501234567";
+const SCRIPT = {
+  SCRIPTED_CALLER_1: "שמי ישראל ישראלי",
+  SCRIPTED_CALLER_2: "אני רוצה שיחזרו אליי לגבי הצעת מחיר",
+  SCRIPTED_CALLER_3: "כן, למספר הזה",
+  SCRIPTED_BOT_1: "נעים מאוד ישראל. במה אפשר לעזור?",
+  SCRIPTED_BOT_2: "בשמחה. לחזור אליך למספר שממנו התקשרת?",
+  SCRIPTED_BOT_3: "מצוין, רשמתי את הפנייה והמשרד יחזור אליך בהקדם. תודה ולהתראות.",
+};
+const SILENT_ULAW_FRAME = Buffer.alloc(160, 0xff).toString("base64");
+const ULAW8K = parseAudioFormat("ulaw8k");
+
+// Amplitude of the `hz` component of 8k samples (single DFT bin).
+function amplitudeAt(samples, hz) {
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const w = (2 * Math.PI * hz * i) / 8000;
+    re += samples[i] * Math.cos(w);
+    im += samples[i] * Math.sin(w);
+  }
+  return (2 * Math.hypot(re, im)) / samples.length;
+}
+
+function runCall() {
+  const leads = [];
+  const botAudio = [];
+  const session = new ScriptedLiveSession({
+    meta: { callSid: "CAtest", streamSid: "MZtest", caller: CALLER, called: "+97231234567" },
+    ssot: { settings: SCRIPT },
+    tenant: {
+      id: "test",
+      final_webhook_url: "http://final.invalid",
+      abandoned_webhook_url: "http://abandoned.invalid",
+    },
+    senders: {
+      sendCallLog: async () => {},
+      sendFinal: async (payload) => leads.push(payload),
+      sendAbandoned: async (payload) => leads.push(payload),
+    },
+    onGeminiAudioUlaw8kBase64: (b64, playback) => botAudio.push({ b64, playback }),
+  });
+
+  session.start();
+
+  // 300 frames = 6s of caller audio, enough for the three scripted caller lines.
+  return new Promise((resolve, reject) => {
+    let sent = 0;
+    const timer = setInterval(() => {
+      session.sendUlaw8kFromTwilio(SILENT_ULAW_FRAME);
+      if (++sent < 300) return;
+      clearInterval(timer);
+      // Let the last scripted answer arrive before the caller hangs up.
+      setTimeout(() => {
+        session.stop().then(() => resolve({ session, leads, botAudio }), reject);
+      }, 800);
+    }, 5);
+  });
+}
+
+// Without the post-call parser nothing fills in the subject, so the call
+// finalizes as a partial lead with the caller's name and number.
+test("scripted call runs from start to finalize", async () => {
+  const { session, leads, botAudio } = await runCall();
+
+  assert.ok(botAudio.every(({ playback }) => Number.isInteger(playback?.turnId)));
+
+  // Every bot line reached the transport at its spoken length, as the
+  // scripted voice: loud, and pitched at SPEECH_PITCH_HZ rather than noise.
+  const samples = decodeSamples(
+    Buffer.concat(botAudio.map(({ b64 }) => Buffer.from(b64, "base64"))),
+    ULAW8K
+  );
+  const botLines = session._call.conversationLog.filter((e) => e.role === "assistant");
+  const expectedMs = botLines.reduce((ms, e) => ms + speechMs(e.text), 0);
+  assert.ok(Math.abs(samples.length / 8 - expectedMs) <= 5 * botLines.length, `${samples.length / 8}ms of bot audio`);
+
+  const rms = Math.sqrt(samples.reduce((acc, s) => acc + s * s, 0) / samples.length);
+  assert.ok(rms > 1500, `bot audio rms ${Math.round(rms)}`);
+  assert.ok(amplitudeAt(samples, SPEECH_PITCH_HZ) > 1500);
+  assert.ok(amplitudeAt(samples, SPEECH_PITCH_HZ) > 30 * amplitudeAt(samples, 3000));
+
+  const roles = session._call.conversationLog.map((e) => e.role);
+  assert.equal(roles.filter((r) => r === "user").length, 3);
+  assert.equal(roles[0], "assistant", "the opening comes first");
+
+  assert.equal(leads.length, 1);
+  const lead = leads[0];
+  assert.equal(lead.event, "ABANDONED");
+  assert.equal(lead.decision_reason, "partial_lead");
+  assert.equal(lead.call.finalize_reason, "stop_called");
+  assert.equal(lead.call.callSid, "CAtest");
+  assert.equal(lead.call.passive_context.callback_requested, true);
+  assert.equal(lead.parsedLeadCollection.full_name, "ישראל ישראלי");
+  assert.equal(lead.parsedLeadCollection.callback_to_number, CALLER);
+  assert.equal(lead.conversationLog.length, session._call.conversationLog.length);
+});